@@ -1,12 +1,36 @@
+import { cp } from 'fs/promises'
+import path from 'path'
 import { defineConfig } from 'vitepress'
+import { LANGS } from '../scripts/lib/i18n.js'
+import { FEED_FILES, SITE, writeFeeds } from '../scripts/lib/feeds.js'
+// 各语言的侧边栏和最新一期链接，由 scripts/auto-weekly-generator.js 生成
+import weeklies from './weeklies.json'
+
+const sidebar = (lang) => weeklies[lang]?.sidebar || []
+const latestIssue = (lang, fallback) => weeklies[lang]?.latest || fallback
+// 各期的上一期（更早）/下一期（更新）链接，按页面源文件路径索引
+const pager = Object.assign({}, ...Object.values(weeklies).map(locale => locale.pager))
+
+// 订阅源（RSS 2.0 / Atom / JSON Feed）的 <link rel="alternate">，prefix 为语言的路径前缀
+const feedHead = (prefix) => [
+  ['link', { rel: 'alternate', type: 'application/rss+xml', title: 'RSS', href: `${SITE.base}${prefix}${FEED_FILES.rss}` }],
+  ['link', { rel: 'alternate', type: 'application/atom+xml', title: 'Atom', href: `${SITE.base}${prefix}${FEED_FILES.atom}` }],
+  ['link', { rel: 'alternate', type: 'application/feed+json', title: 'JSON Feed', href: `${SITE.base}${prefix}${FEED_FILES.json}` }]
+]
+const feedLink = (prefix) => ({
+  icon: {
+    svg: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M6.18 15.64a2.18 2.18 0 1 1 0 4.36 2.18 2.18 0 0 1 0-4.36M4 4.44A15.56 15.56 0 0 1 19.56 20h-2.83A12.73 12.73 0 0 0 4 7.27zm0 5.66a9.9 9.9 0 0 1 9.9 9.9h-2.83A7.07 7.07 0 0 0 4 12.93z"/></svg>'
+  },
+  link: `${SITE.url}${SITE.base}${prefix}${FEED_FILES.rss}`,
+  ariaLabel: 'RSS'
+})
 
 export default defineConfig({
   title: 'OpenClaw Weekly',
   description: 'OpenClaw 仓库每周动向追踪 - Your personal AI assistant, the lobster way 🦞',
-  // base 配置必须与仓库名称一致，格式为 '/仓库名/'
-  // 如果仓库名是 openclaw-weekly，则保持下方配置
-  // 如果仓库名是其他名称，请修改为 '/你的仓库名/'
-  base: '/openclaw-weekly/',
+  // base 配置必须与仓库名称一致，格式为 '/仓库名/'，在 scripts/lib/feeds.js 的 SITE 中修改
+  // （订阅源中的绝对链接也使用 SITE；如果仓库名是 openclaw-weekly，则保持原配置）
+  base: SITE.base,
 
   head: [
     ['link', { rel: 'icon', href: '/favicon.ico' }]
@@ -14,76 +38,42 @@ export default defineConfig({
 
   ignoreDeadLinks: true,
 
+  // 提示词模板（prompts/<语言>/*.md）供生成器使用，不是网站页面，也不进入本地搜索索引
+  srcExclude: ['prompts/**'],
+
+  // 侧边栏按最新一期在前排列，页面底部的上一期/下一期按时间顺序另行指定
+  transformPageData(pageData) {
+    const links = pager[pageData.relativePath]
+    if (links) {
+      pageData.frontmatter.prev ??= links.prev
+      pageData.frontmatter.next ??= links.next
+    }
+  },
+
+  // 结构化数据（docs/data/*.json）不是页面，构建完成后原样复制到站点中；
+  // 订阅源按各期周报的 front matter 生成，写到各语言的根路径下
+  async buildEnd(siteConfig) {
+    await cp(path.join(siteConfig.srcDir, 'docs', 'data'), path.join(siteConfig.outDir, 'docs', 'data'), { recursive: true })
+    await writeFeeds(siteConfig.srcDir, siteConfig.outDir, { langs: LANGS })
+  },
+
   themeConfig: {
     logo: '/favicon.ico',
 
     nav: [
       { text: '首页', link: '/' },
-      { text: '周报列表', link: '/docs/10' },
+      { text: '周报列表', link: latestIssue('zh', '/') },
+      { text: '归档', link: '/archive' },
+      { text: '数据看板', link: '/dashboard' },
       { text: 'OpenClaw官网', link: 'https://openclaw.ai/' },
       { text: 'GitHub', link: 'https://github.com/openclaw/openclaw' }
     ],
 
-    sidebar: [
-      {
-        text: '2026年3月',
-        items: [
-          {
-            text: '第10期：2026年3月2日-2026年3月9日',
-            link: '/docs/10'
-          },
-          {
-            text: '第9期：2026年2月23日-2026年3月2日',
-            link: '/docs/09'
-          }
-        ]
-      },
-      {
-        text: '2026年2月',
-        items: [
-          {
-            text: '第8期：2026年2月16日-2026年2月23日',
-            link: '/docs/08'
-          },
-          {
-            text: '第7期：2026年2月9日-2026年2月16日',
-            link: '/docs/07'
-          },
-          {
-            text: '第6期：2026年2月2日-2026年2月9日',
-            link: '/docs/06'
-          },
-          {
-            text: '第5期：2026年1月26日-2026年2月2日',
-            link: '/docs/05'
-          }
-        ]
-      },
-      {
-        text: '2026年1月',
-        items: [
-          {
-            text: '第4期：2026年1月19日-2026年1月26日',
-            link: '/docs/04'
-          },
-          {
-            text: '第3期：2026年1月12日-2026年1月19日',
-            link: '/docs/03'
-          },
-          {
-            text: '第2期：2026年1月5日-2026年1月12日',
-            link: '/docs/02'
-          },
-          {
-            text: '第1期：2025年12月29日-2026年1月5日',
-            link: '/docs/01'
-          }
-        ]
-      }
-    ],
+    sidebar: sidebar('zh'),
 
     socialLinks: [
-      { icon: 'github', link: 'https://github.com/openclaw/openclaw' }
+      { icon: 'github', link: 'https://github.com/openclaw/openclaw' },
+      feedLink('')
     ],
 
     footer: {
@@ -96,6 +86,45 @@ export default defineConfig({
     }
   },
 
+  // 多语言：中文为默认语言（根路径），英文版周报位于 /en/
+  // 各语言的 sidebar 和"周报列表"导航来自 weeklies.json
+  locales: {
+    root: {
+      label: '简体中文',
+      lang: 'zh-CN',
+      head: feedHead('')
+    },
+    en: {
+      label: 'English',
+      lang: 'en-US',
+      link: '/en/',
+      description: 'Weekly tracking of the OpenClaw repository - Your personal AI assistant, the lobster way 🦞',
+      head: feedHead('en/'),
+      themeConfig: {
+        nav: [
+          { text: 'Home', link: '/en/' },
+          { text: 'Issues', link: latestIssue('en', '/en/') },
+          { text: 'Archive', link: '/en/archive' },
+          { text: 'Dashboard', link: '/en/dashboard' },
+          { text: 'OpenClaw', link: 'https://openclaw.ai/' },
+          { text: 'GitHub', link: 'https://github.com/openclaw/openclaw' }
+        ],
+
+        sidebar: sidebar('en'),
+
+        socialLinks: [
+          { icon: 'github', link: 'https://github.com/openclaw/openclaw' },
+          feedLink('en/')
+        ],
+
+        footer: {
+          message: 'Released under the MIT License.',
+          copyright: 'Copyright © 2026 OpenClaw Weekly'
+        }
+      }
+    }
+  },
+
   markdown: {
     lineNumbers: true
   }
@@ -0,0 +1,18 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { defineLoader } from 'vitepress'
+import { readDashboardData } from '../../scripts/lib/dashboard.js'
+import { excludeSubProjects, findConfigFile, loadWeeklyConfig } from '../../scripts/lib/weekly-config.js'
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+
+// 数据看板使用的时间序列，构建时从所有的每期数据文件（docs/data/NN.json）汇总，
+// 没有数据文件的旧周报用 front matter 中的合计数字补充，见 scripts/lib/dashboard.js
+export default defineLoader({
+  watch: ['../../docs/data/[0-9]*.json', '../../docs/[0-9]*.md', '../../en/docs/[0-9]*.md'],
+  async load(watchedFiles) {
+    // 旧周报只跟踪了一个仓库，记在配置中的第一个整体条目下
+    const { repos } = await loadWeeklyConfig(await findConfigFile(rootDir))
+    return readDashboardData(watchedFiles, { rootDir, repo: excludeSubProjects(repos)[0] })
+  }
+})
@@ -0,0 +1,10 @@
+import DefaultTheme from 'vitepress/theme'
+import WeeklyDashboard from './components/WeeklyDashboard.vue'
+
+// 在默认主题的基础上注册数据看板组件，供 dashboard.md 和 en/dashboard.md 使用
+export default {
+  extends: DefaultTheme,
+  enhanceApp({ app }) {
+    app.component('WeeklyDashboard', WeeklyDashboard)
+  }
+}
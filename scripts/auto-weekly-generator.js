@@ -9,107 +9,287 @@
 import fs from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import readline from 'readline/promises'
+import { parseArgs } from 'util'
+import { createGitHubClient, GitHubRequestError } from './lib/github-client.js'
+import { searchAllIssues, toSearchTimestamp } from './lib/search-windows.js'
+import { collectWithGraphQL } from './lib/graphql-collector.js'
+import { getCommitCount, listPathCommits } from './lib/commits.js'
+import { findSnapshot, loadSnapshot, saveSnapshot } from './lib/snapshots.js'
+import { analyzeWithFallback, listAvailableProviders } from './lib/ai-providers.js'
+import { getChunkBudget, summarizeInChunks } from './lib/summarize.js'
+import { getTemplateVersions, loadPromptTemplates, renderTemplate } from './lib/prompts.js'
+import { getTotals, readWeeklyDataFile, updateDataIndex, writeWeeklyDataFile } from './lib/data-export.js'
+import { collectContributors } from './lib/contributors.js'
+import { collectHealth } from './lib/health.js'
+import { CONFIG_FILE_NAMES, excludeSubProjects, findConfigFile, getLabelQualifier, isInPath, loadWeeklyConfig } from './lib/weekly-config.js'
+import { buildTrends, getWeekMetrics, renderSparkline } from './lib/trends.js'
+import { categorizePullRequests } from './lib/categorize.js'
+import { getReleaseReferences, rankPullRequests } from './lib/significance.js'
+import { RELEASE_SECTIONS, groupReleases, parseReleaseNotes } from './lib/release-notes.js'
+import { DEFAULT_TIME_ZONE, formatISODay, getDayRange, getPeriod, getPeriodNumber } from './lib/periods.js'
+import { buildWeeklyIndex, getIssueFileName, getPlainExcerpt, stringifyFrontMatter } from './lib/weekly-index.js'
+import { createFeed, toAbsoluteUrl, validateFeed } from './lib/feeds.js'
+import { listConfiguredTargets, maskUrl, sendNotifications } from './lib/notify.js'
+import { parseIssueMarkdown, parseMarkdownTable, parseRecipients, renderEmail, sendEmail } from './lib/email.js'
+import { DEFAULT_LANG, LANGS, formatDate, formatDateRange, formatDuration, formatShortDate, getLocalePrefix, getMessages, localize } from './lib/i18n.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // 配置
 const CONFIG = {
-  repos: [
-    { owner: 'openclaw', name: 'openclaw', displayName: 'OpenClaw主仓库' }
-    // Note: docs repo doesn't exist yet - uncomment when it's available
-    // { owner: 'openclaw', name: 'docs', displayName: 'OpenClaw文档' }
-  ],
+  // 跟踪的仓库从 weekly.config.json / weekly.config.yaml 读取（见 lib/weekly-config.js），
+  // 也可以用 --config 或环境变量 WEEKLY_CONFIG 指定配置文件
+  configFile: process.env.WEEKLY_CONFIG || null,
+  repos: [],
+  // 统计周期（见 lib/periods.js），期数与周期一一对应，改变周期或开始日期后历史期数会对不上
+  period: {
+    timeZone: process.env.WEEKLY_TIMEZONE || DEFAULT_TIME_ZONE, // 周期边界和日期显示使用的时区
+    cadence: process.env.WEEKLY_CADENCE || 'weekly', // weekly / biweekly / monthly
+    startDate: '2025-12-29' // 第1期开始的日期（星期一），monthly 时从该日期所在月份开始
+  },
+  snapshotDir: path.join(__dirname, '..', 'snapshots'), // 每期原始数据和 AI 分析结果的快照
+  dataDir: path.join(__dirname, '..', 'docs', 'data'), // 随周报导出的结构化数据（NN.json 和 index.json）
+  // PR 分类规则（见 lib/categorize.js），name 可以按语言分别配置
+  categories: {
+    listLimit: 5, // 每个分类下列出的 PR 数
+    tagLimit: 5, // 周报 front matter 的 tags 中最多列出的领域数
+    maxFileLookups: 200, // REST 收集器最多为多少个 PR 查询改动文件
+    types: [
+      { id: 'features', emoji: '✨', name: { zh: '新功能', en: 'Features' }, labels: ['feature', 'enhancement'], prefixes: ['feat'] },
+      { id: 'fixes', emoji: '🐛', name: { zh: '问题修复', en: 'Fixes' }, labels: ['bug', 'fix'], prefixes: ['fix'] },
+      { id: 'docs', emoji: '📖', name: { zh: '文档', en: 'Docs' }, labels: ['documentation', 'docs'], prefixes: ['docs'], paths: ['docs/**', '**/*.md'] },
+      { id: 'maintenance', emoji: '🔧', name: { zh: '重构与维护', en: 'Refactoring & maintenance' }, labels: ['dependencies', 'chore', 'refactor', 'ci'], prefixes: ['chore', 'refactor', 'perf', 'test', 'ci', 'build', 'style', 'revert'] }
+    ],
+    fallbackType: { id: 'other', emoji: '📦', name: { zh: '其他', en: 'Other' } },
+    areas: [
+      { id: 'telegram', name: 'Telegram', labels: ['telegram', 'channel: telegram'], scopes: ['telegram'], paths: ['**/telegram/**'] },
+      { id: 'slack', name: 'Slack', labels: ['slack', 'channel: slack'], scopes: ['slack'], paths: ['**/slack/**'] },
+      { id: 'discord', name: 'Discord', labels: ['discord', 'channel: discord'], scopes: ['discord'], paths: ['**/discord/**'] },
+      { id: 'whatsapp', name: 'WhatsApp', labels: ['whatsapp', 'channel: whatsapp'], scopes: ['whatsapp', 'web'], paths: ['**/whatsapp/**', '**/web/**'] },
+      { id: 'imessage', name: 'iMessage', labels: ['imessage', 'channel: imessage'], scopes: ['imessage'], paths: ['**/imessage/**'] },
+      { id: 'gateway', name: 'Gateway', labels: ['gateway'], scopes: ['gateway'], paths: ['**/gateway/**'] },
+      { id: 'voice', name: { zh: '语音', en: 'Voice' }, labels: ['voice'], scopes: ['voice', 'talk'], paths: ['**/voice/**', '**/talk/**'] },
+      { id: 'canvas', name: 'Canvas', labels: ['canvas'], scopes: ['canvas'], paths: ['**/canvas/**'] }
+    ]
+  },
+  // 版本发布的更新摘要（见 lib/release-notes.js）
+  releases: {
+    digestLimit: 8 // 新功能、问题修复每个分节最多列出的条目数，破坏性变更全部列出
+  },
+  // 「重要PR」的评分规则（见 lib/significance.js）
+  significance: {
+    topCount: 10, // 展示的 PR 数
+    weights: {
+      merged: 30, // 已合并
+      lines: 8, // 每 10 倍改动行数（log10）
+      comments: 1.5, // 每条评论
+      reviews: 3, // 每次 Review
+      reactions: 2, // 每个点赞
+      release: 25 // 出现在本周的版本发布说明中
+    },
+    caps: { comments: 20, reviews: 10, reactions: 20 },
+    // 标签加分，取最高的一个
+    labelWeights: { breaking: 40, 'breaking-change': 40, security: 40, regression: 20 }
+  },
+  contributors: {
+    topCount: 10, // 贡献排行显示的人数
+    botLogins: ['dependabot', 'renovate', 'github-actions', 'copilot-pull-request-reviewer'], // 额外视为机器人的账号
+    maxReviewLookups: 100, // REST 收集器最多为多少个已合并 PR 单独查询 Review
+    maxFirstTimeLookups: 50 // 最多为多少位作者查询此前是否有过贡献
+  },
+  // 项目健康度（见 lib/health.js）
+  health: {
+    staleDays: 30, // 超过 30 天没有更新的 Issue/PR 视为长期未更新
+    maxResponseLookups: 50, // Issue、PR 各最多抽样多少个查询维护者的首次响应
+    maintainerAssociations: ['OWNER', 'MEMBER', 'COLLABORATOR'] // 视为维护者的 author_association
+  },
+  trends: {
+    weeks: 8, // 趋势线覆盖的期数（含本期）
+    swingThreshold: 0.5, // 环比变化超过 50% 时标记为大幅波动
+    minSwingDelta: 5 // 变化量小于该值时不标记
+  },
+  prompts: {
+    dir: path.join(__dirname, '..', 'prompts'), // 默认提示词模板目录，每种语言一个子目录
+    customDir: process.env.WEEKLY_PROMPTS_DIR || null, // 自定义模板目录，也可以用 --prompts-dir 指定
+    // 各语言模板中可用的变量（另有 weekNumber）
+    variables: {
+      zh: {
+        projectName: 'OpenClaw',
+        projectDescription: '一个个人 AI 助手，支持多渠道（WhatsApp、Telegram、Slack、Discord 等）集成',
+        focusAreas: ['多渠道集成', 'Gateway 控制平面', '语音功能', 'Canvas']
+      },
+      en: {
+        projectName: 'OpenClaw',
+        projectDescription: 'a personal AI assistant that integrates with many channels (WhatsApp, Telegram, Slack, Discord and more)',
+        focusAreas: ['multi-channel integration', 'the Gateway control plane', 'voice features', 'Canvas']
+      }
+    },
+    // 数组变量的连接符
+    listSeparators: { zh: '、', en: ', ' }
+  },
   github: {
     apiBase: 'https://api.github.com',
-    token: process.env.GITHUB_TOKEN // 需要设置环境变量
+    token: process.env.GITHUB_TOKEN, // 需要设置环境变量
+    cacheDir: path.join(__dirname, '..', '.cache', 'github'), // ETag 条件请求缓存
+    timeout: Number(process.env.GITHUB_TIMEOUT_MS) || 30000, // 单次请求超时（毫秒），超时后重试
+    // 数据收集方式：rest（REST + Search API）或 graphql（需要 GITHUB_TOKEN）
+    collector: process.env.WEEKLY_COLLECTOR || 'rest',
+    search: {
+      perPage: 100
+    }
   },
   ai: {
-    // 支持多种 AI 服务，优先级从高到低
+    timeout: Number(process.env.AI_TIMEOUT_MS) || 120000, // 单次请求超时（毫秒）
+    maxRetries: 2, // 429/5xx/超时时对同一服务的重试次数，之后改用下一个服务
+    // 支持多种 AI 服务，优先级从高到低，前一个失败时自动改用下一个
+    // type 对应 lib/ai-providers.js 中的实现，省略时与 name 相同
+    // maxInputTokens / maxInputChars 为单次请求的数据输入预算，超出时分批汇总
     providers: [
       {
         name: 'dify',
         apiKey: process.env.DIFY_API_KEY,
-        baseUrl: 'https://dify-api.pp.dktapp.cloud/v1/workflows/run',
-        user: 'openclaw-weekly-bot'
+        baseUrl: process.env.DIFY_BASE_URL || 'https://dify-api.pp.dktapp.cloud/v1/workflows/run',
+        user: 'openclaw-weekly-bot',
+        maxInputChars: 16384 // Dify data_content 字段最大长度限制
+      },
+      {
+        // 自定义的 OpenAI 兼容接口（如自建网关、vLLM、DeepSeek 等）
+        name: 'custom',
+        type: 'openai',
+        apiKey: process.env.AI_CUSTOM_API_KEY,
+        model: process.env.AI_CUSTOM_MODEL,
+        baseUrl: process.env.AI_CUSTOM_BASE_URL,
+        customEndpoint: true,
+        maxInputTokens: Number(process.env.AI_CUSTOM_MAX_INPUT_TOKENS) || 8000
       },
       {
         name: 'qwen',
         apiKey: process.env.QWEN_API_KEY,
-        model: 'qwen-max', // 或 qwen-plus, qwen-turbo
-        baseUrl: 'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation'
+        model: process.env.QWEN_MODEL || 'qwen-max', // 或 qwen-plus, qwen-turbo
+        baseUrl: process.env.QWEN_BASE_URL || 'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation',
+        maxInputTokens: 24000
       },
       {
         name: 'openai',
         apiKey: process.env.OPENAI_API_KEY,
-        model: 'gpt-4',
-        baseUrl: 'https://api.openai.com/v1'
+        model: process.env.OPENAI_MODEL || 'gpt-4',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        customEndpoint: Boolean(process.env.OPENAI_BASE_URL),
+        maxInputTokens: 6000 // gpt-4 上下文为 8k
       },
       {
         name: 'claude',
         apiKey: process.env.ANTHROPIC_API_KEY,
-        model: 'claude-3-sonnet-20240229'
+        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+        maxInputTokens: 100000
+      }
+    ]
+  },
+  // 新周报的聊天通知（见 lib/notify.js），只发送给配置了地址的目标
+  // 地址可以指向本地的 scripts/mock-webhook-server.js 测试消息格式
+  notify: {
+    timeout: 10000, // 单次请求超时（毫秒）
+    topPrCount: 3, // 摘要中列出的重要 PR 数
+    targets: [
+      { name: 'slack', url: process.env.SLACK_WEBHOOK_URL },
+      { name: 'discord', url: process.env.DISCORD_WEBHOOK_URL },
+      { name: 'feishu', url: process.env.FEISHU_WEBHOOK_URL, secret: process.env.FEISHU_WEBHOOK_SECRET },
+      {
+        name: 'telegram',
+        botToken: process.env.TELEGRAM_BOT_TOKEN,
+        chatId: process.env.TELEGRAM_CHAT_ID,
+        apiBase: process.env.TELEGRAM_API_BASE || 'https://api.telegram.org'
       }
     ]
+  },
+  // 邮件版周报（见 lib/email.js），可以用 scripts/mock-smtp-server.js 在本地接收测试邮件
+  email: {
+    outDir: path.join(__dirname, '..', 'dist', 'email'), // render-email 的输出目录，也可以用 --out 指定
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // 465 端口使用 true，587 端口由服务器协商 STARTTLS
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    from: process.env.EMAIL_FROM || 'OpenClaw Weekly <weekly@localhost>',
+    to: parseRecipients(process.env.EMAIL_TO) // 逗号分隔的收件人
   }
 }
 
-/**
- * GitHub API 请求封装
- */
-async function githubRequest(endpoint, params = {}) {
-  const url = new URL(`${CONFIG.github.apiBase}${endpoint}`)
-  Object.keys(params).forEach(key => {
-    if (params[key] !== undefined) {
-      url.searchParams.append(key, params[key])
-    }
-  })
-
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'OpenClaw-Weekly-Bot'
-  }
-
-  if (CONFIG.github.token) {
-    headers['Authorization'] = `token ${CONFIG.github.token}`
-  }
-
-  try {
-    const response = await fetch(url.toString(), { headers })
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`)
-    }
-
-    return await response.json()
-  } catch (error) {
-    console.error(`Error fetching ${endpoint}:`, error.message)
-    return null
-  }
-}
+const github = createGitHubClient({
+  apiBase: CONFIG.github.apiBase,
+  token: CONFIG.github.token,
+  timeout: CONFIG.github.timeout,
+  cacheDir: CONFIG.github.cacheDir
+})
 
 /**
- * 获取指定时间范围内的仓库数据
+ * 使用 REST / Search API 收集单个仓库的周数据
+ * 指定 path 时只统计改动了该目录的提交和 PR，版本发布不计入，Issue 按 issueLabels 统计
  */
-async function getWeeklyData(owner, repo, startDate, endDate, path = null, pathDisplayName = null) {
-  const displayName = pathDisplayName ? `${owner}/${repo}/${path} (${pathDisplayName})` : `${owner}/${repo}`
-  console.log(`📊 正在获取 ${displayName} 的周数据...`)
-
+async function collectWithRest(owner, repo, startDate, endDate, { path = null, issueLabels = [] } = {}) {
+  // 子目录的提交同时用于提交数和筛选 PR，只获取一次
+  const pathCommits = path ? await listPathCommits(github, owner, repo, startDate, endDate, path) : null
   const [repoInfo, commitCount, releases, prs, topIssues] = await Promise.all([
     getRepoInfo(owner, repo),
-    getCommitCount(owner, repo, startDate, endDate),
-    getReleases(owner, repo, startDate, endDate),
-    getPullRequests(owner, repo, startDate, endDate),
-    getTopIssues(owner, repo, startDate, endDate, 5)
+    path ? pathCommits.length : getCommitCount(github, owner, repo, startDate, endDate),
+    path ? [] : getReleases(owner, repo, startDate, endDate),
+    getPullRequests(owner, repo, startDate, endDate, path, pathCommits),
+    path && issueLabels.length === 0
+      ? { totalCount: 0, topIssues: [] }
+      : getTopIssues(owner, repo, startDate, endDate, 5, issueLabels)
   ])
 
   return {
-    repo: { owner, name: repo, path, pathDisplayName },
     info: repoInfo,
     commits: { total: commitCount },  // 简化结构，只有数量
     releases,
     prs,
     issues: { total: topIssues.totalCount, issues: topIssues.topIssues },  // total 是总数，issues 是热门 Issue
+    openedIssues: topIssues.opened || null
+  }
+}
+
+/**
+ * 获取指定时间范围内的仓库数据
+ * 根据 CONFIG.github.collector 选择 REST 或 GraphQL 收集器，两者返回相同的结构。
+ * 任一请求失败都会抛出错误，由调用方中止本次生成，而不是把 0 写进周报
+ */
+async function getWeeklyData(owner, repo, startDate, endDate, path = null, pathDisplayName = null, { issueLabels = [] } = {}) {
+  const displayName = path ? `${owner}/${repo}/${path}${pathDisplayName ? ` (${pathDisplayName})` : ''}` : `${owner}/${repo}`
+  console.log(`📊 正在获取 ${displayName} 的周数据...`)
+
+  let collected
+  try {
+    // openedIssues 只用于健康度统计，不写入快照
+    const { openedIssues, ...data } = CONFIG.github.collector === 'graphql'
+      ? await collectWithGraphQL(github, owner, repo, startDate, endDate, { topIssuesLimit: 5, path, issueLabels })
+      : await collectWithRest(owner, repo, startDate, endDate, { path, issueLabels })
+    collected = data
+    collected.contributors = await collectContributors(github, owner, repo, startDate, endDate, collected.prs.prs, { ...CONFIG.contributors, path })
+    // 健康度按整个仓库统计，子目录条目不收集；按标签过滤过的 Issue 不能复用
+    collected.health = path ? null : await collectHealth(github, owner, repo, startDate, endDate, {
+      prs: collected.prs.prs,
+      issues: issueLabels.length === 0 ? openedIssues : null
+    }, {
+      ...CONFIG.health,
+      botLogins: CONFIG.contributors.botLogins,
+      perPage: CONFIG.github.search.perPage
+    })
+    collected.releases.forEach(release => {
+      release.notes = parseReleaseNotes(release.body)
+    })
+  } catch (error) {
+    throw new Error(`获取 ${displayName} 的周数据失败: ${error.message}`, { cause: error })
+  }
+
+  return {
+    repo: { owner, name: repo, path, pathDisplayName, issueLabels },
+    ...collected,
     period: { start: startDate, end: endDate }
   }
 }
@@ -118,8 +298,7 @@ async function getWeeklyData(owner, repo, startDate, endDate, path = null, pathD
  * 获取仓库基本信息
  */
 async function getRepoInfo(owner, repo) {
-  const data = await githubRequest(`/repos/${owner}/${repo}`)
-  if (!data) return null
+  const data = await github.request(`/repos/${owner}/${repo}`)
 
   return {
     stars: data.stargazers_count,
@@ -131,49 +310,14 @@ async function getRepoInfo(owner, repo) {
   }
 }
 
-/**
- * 获取指定时间范围内的提交数量（使用 Search API 获取准确计数）
- */
-async function getCommitCount(owner, repo, since, until) {
-  const startDate = since.toISOString().split('T')[0]
-  const endDate = until.toISOString().split('T')[0]
-  const query = `repo:${owner}/${repo} author-date:${startDate}..${endDate}`
-
-  try {
-    const data = await githubRequest('/search/commits', {
-      q: query,
-      per_page: 1
-    })
-
-    if (data && data.total_count !== undefined) {
-      console.log(`📊 ${owner}/${repo}: 找到 ${data.total_count} 次提交`)
-      return data.total_count
-    }
-  } catch (error) {
-    console.warn(`⚠️ Search API 请求失败，回退到普通 API: ${error.message}`)
-    // 回退到普通 API
-    const params = {
-      since: since.toISOString(),
-      until: until.toISOString(),
-      per_page: 100
-    }
-    const data = await githubRequest(`/repos/${owner}/${repo}/commits`, params)
-    return data ? data.length : 0
-  }
-
-  return 0
-}
-
 /**
  * 获取指定时间范围内的发布
  */
 async function getReleases(owner, repo, since, until) {
-  const data = await githubRequest(`/repos/${owner}/${repo}/releases`, {
+  const data = await github.request(`/repos/${owner}/${repo}/releases`, {
     per_page: 50
   })
 
-  if (!data) return []
-
   return data.filter(release => {
     const publishedAt = new Date(release.published_at)
     return publishedAt >= since && publishedAt <= until
@@ -188,171 +332,284 @@ async function getReleases(owner, repo, since, until) {
   }))
 }
 
+// 同一仓库、同一时间范围的 PR 搜索结果，整体条目和子目录条目共用，避免重复搜索和重复查询改动文件
+const pullRequestSearches = new Map()
+
 /**
- * 获取指定时间范围内的PR（使用 Search API）
+ * 通过 Search API 分页获取指定时间范围内的全部 PR，结果按仓库和时间范围缓存
  */
-async function getPullRequests(owner, repo, since, until) {
-  const startDate = since.toISOString().split('T')[0]
-  const endDate = until.toISOString().split('T')[0]
-  const query = `repo:${owner}/${repo} created:${startDate}..${endDate} type:pr`
-
-  try {
-    const data = await githubRequest('/search/issues', {
-      q: query,
-      per_page: 100,
-      sort: 'created',
-      order: 'desc'
-    })
+function searchPullRequests(owner, repo, since, until) {
+  const key = `${owner}/${repo} ${since.toISOString()}..${until.toISOString()}`
+  if (!pullRequestSearches.has(key)) {
+    pullRequestSearches.set(key, (async () => {
+      const data = await searchAllIssues(github, `repo:${owner}/${repo} type:pr`, since, until, { perPage: CONFIG.github.search.perPage })
 
-    if (data && data.items) {
-      const totalCount = data.total_count || data.items.length
-      console.log(`🔀 ${owner}/${repo}: 找到 ${totalCount} 个 PR`)
+      console.log(`🔀 ${owner}/${repo}: 找到 ${data.totalCount} 个 PR，已获取 ${data.items.length} 个`)
 
       const prs = data.items.map(pr => ({
         number: pr.number,
         title: pr.title,
         state: pr.state,
         user: pr.user.login,
+        userType: pr.user.type,
+        authorAssociation: pr.author_association,
         createdAt: pr.created_at,
         mergedAt: pr.pull_request?.merged_at,
-        url: pr.html_url
-      }))
+        url: pr.html_url,
+        labels: pr.labels?.map(label => label.name) || [],
+        comments: pr.comments || 0,
+        reactions: pr.reactions?.total_count || 0
+      })).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+      return { totalCount: data.totalCount, prs }
+    })())
+  }
+  return pullRequestSearches.get(key)
+}
 
-      const merged = prs.filter(pr => pr.mergedAt).length
-      const open = prs.filter(pr => pr.state === 'open').length
+/**
+ * 提交信息中引用的 PR 编号：squash 合并的「标题 (#123)」和 merge commit 的「Merge pull request #123」
+ */
+function getCommitPullRequestNumber(message = '') {
+  const firstLine = message.split('\n')[0]
+  const match = firstLine.match(/\(#(\d+)\)\s*$/) || firstLine.match(/^Merge pull request #(\d+)/)
+  return match ? Number(match[1]) : null
+}
 
-      return {
-        total: totalCount,
-        merged,
-        open,
-        prs
-      }
+/**
+ * 获取指定时间范围内的PR（使用 Search API，分页获取全部结果）
+ * 指定 path 时只保留改动了该目录的 PR：先按该目录的提交（/commits?path=）中引用的 PR 编号判断，
+ * 再用已经获取的改动文件判断，剩下的 PR 最多再查询 maxFileLookups 个（已合并的优先）。
+ * 没有查询的 PR 数记录在 unchecked 中，此时 total 只是下限，周报中显示为「≥N」
+ *
+ * @param {object[]|null} pathCommits 已经获取的该目录的提交，省略时重新获取
+ */
+async function getPullRequests(owner, repo, since, until, path = null, pathCommits = null) {
+  const data = await searchPullRequests(owner, repo, since, until)
+  const prs = data.prs
+
+  if (path) {
+    const commits = pathCommits || await listPathCommits(github, owner, repo, since, until, path)
+    const referenced = new Set(commits.map(commit => getCommitPullRequestNumber(commit.commit?.message)).filter(Boolean))
+
+    const unknown = prs.filter(pr => !referenced.has(pr.number) && !pr.files)
+    const unchecked = await attachPullRequestFiles(owner, repo, unknown)
+    if (unchecked > 0) {
+      console.log(`🗂️ ${owner}/${repo}/${path}: PR 较多，有 ${unchecked} 个 PR 没有查询改动文件，该目录的 PR 数是下限`)
     }
-  } catch (error) {
-    console.warn(`⚠️ PR Search API 请求失败: ${error.message}`)
+
+    const filtered = prs.filter(pr => referenced.has(pr.number) || pr.files?.some(file => isInPath(file, path)))
+    console.log(`📂 ${owner}/${repo}/${path}: 从 ${prs.length} 个 PR 中筛选出 ${filtered.length} 个改动了该目录的 PR`)
+
+    return {
+      total: filtered.length,
+      merged: filtered.filter(pr => pr.mergedAt).length,
+      open: filtered.filter(pr => pr.state === 'open').length,
+      unchecked,
+      prs: filtered
+    }
+  }
+
+  const unchecked = await attachPullRequestFiles(owner, repo, prs)
+  if (unchecked > 0) {
+    console.log(`🗂️ ${owner}/${repo}: PR 较多，只获取了部分 PR 的改动文件，其余 ${unchecked} 个只按标签和标题分类`)
   }
 
-  return { total: 0, merged: 0, open: 0, prs: [] }
+  const merged = prs.filter(pr => pr.mergedAt).length
+  const open = prs.filter(pr => pr.state === 'open').length
+
+  return {
+    total: data.totalCount,
+    merged,
+    open,
+    prs
+  }
 }
 
 /**
- * 获取指定时间范围内最热门的 Issues（按点赞排序）
+ * 为 PR 补充改动文件列表和增删行数，用于按路径分类和重要性评分
+ * Search API 不返回改动文件，需要逐个查询，因此只查询前 maxFileLookups 个还没有改动文件的 PR（已合并的优先），
+ * 返回仍然没有改动文件的 PR 数
  */
-async function getTopIssues(owner, repo, since, until, limit = 5) {
-  const startDate = since.toISOString().split('T')[0]
-  const endDate = until.toISOString().split('T')[0]
-  const query = `repo:${owner}/${repo} created:${startDate}..${endDate} type:issue`
+async function attachPullRequestFiles(owner, repo, prs, limit = CONFIG.categories.maxFileLookups) {
+  const pending = prs.filter(pr => !pr.files)
+  const targets = [...pending.filter(pr => pr.mergedAt), ...pending.filter(pr => !pr.mergedAt)].slice(0, limit)
+
+  for (const pr of targets) {
+    const files = await github.paginate(`/repos/${owner}/${repo}/pulls/${pr.number}/files`)
+    pr.files = files.map(file => file.filename)
+    pr.additions = files.reduce((acc, file) => acc + (file.additions || 0), 0)
+    pr.deletions = files.reduce((acc, file) => acc + (file.deletions || 0), 0)
+  }
 
-  try {
-    const data = await githubRequest('/search/issues', {
-      q: query,
-      per_page: 100,
-      sort: 'reactions',
-      order: 'desc'
-    })
+  return pending.length - targets.length
+}
+
+/**
+ * 获取指定时间范围内最热门的 Issues（分页获取全部 Issue 后按点赞排序）
+ * labels 不为空时只统计带有其中任一标签的 Issue；opened 为全部 Issue，供健康度统计首次响应
+ */
+async function getTopIssues(owner, repo, since, until, limit = 5, labels = []) {
+  const query = [`repo:${owner}/${repo} type:issue`, getLabelQualifier(labels)].filter(Boolean).join(' ')
+  const data = await searchAllIssues(github, query, since, until, { perPage: CONFIG.github.search.perPage })
+
+  // 过滤掉 PR，只保留 Issue
+  const issuesOnly = data.items.filter(item => !item.pull_request)
+  const totalCount = data.totalCount || issuesOnly.length
+
+  // 计算每个 issue 的总反应数
+  const issuesWithReactions = issuesOnly.map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    user: issue.user.login,
+    reactions: issue.reactions?.total_count || 0,
+    createdAt: issue.created_at,
+    closedAt: issue.closed_at,
+    url: issue.html_url
+  }))
 
-    if (data && data.items) {
-      // 过滤掉 PR，只保留 Issue
-      const issuesOnly = data.items.filter(item => !item.pull_request)
-      const totalCount = data.total_count || issuesOnly.length
+  // 按反应数排序并返回前 N 个
+  const topIssues = issuesWithReactions
+    .sort((a, b) => b.reactions - a.reactions)
+    .slice(0, limit)
 
-      // 计算每个 issue 的总反应数
-      const issuesWithReactions = issuesOnly.map(issue => ({
-        number: issue.number,
-        title: issue.title,
-        state: issue.state,
-        user: issue.user.login,
-        reactions: issue.reactions?.total_count || 0,
-        createdAt: issue.created_at,
-        closedAt: issue.closed_at,
-        url: issue.html_url
-      }))
+  console.log(`🔍 ${owner}/${repo}: 找到 ${totalCount} 个 Issue，显示最热门的 ${topIssues.length} 个`)
 
-      // 按反应数排序并返回前 N 个
-      const topIssues = issuesWithReactions
-        .sort((a, b) => b.reactions - a.reactions)
-        .slice(0, limit)
+  const opened = issuesOnly.map(issue => ({
+    number: issue.number,
+    user: issue.user?.login,
+    userType: issue.user?.type || null,
+    createdAt: issue.created_at,
+    comments: issue.comments || 0
+  }))
 
-      console.log(`🔍 ${owner}/${repo}: 找到 ${totalCount} 个 Issue，显示最热门的 ${topIssues.length} 个`)
+  return { totalCount, topIssues, opened }
+}
 
-      return { totalCount, topIssues }
-    }
-  } catch (error) {
-    console.warn(`⚠️ Issue Search API 请求失败: ${error.message}`)
+/**
+ * 通过 Search API 获取一期的各项计数，用于没有快照的历史期数
+ * 仓库总星数无法按历史时间点获取，记为 null
+ */
+async function getWeekMetricsFromAPI(weekNumber) {
+  const { start, end } = getWeekPeriod(weekNumber)
+  const createdRange = `created:${toSearchTimestamp(start)}..${toSearchTimestamp(end)}`
+  const searchCount = async (query) => (await github.request('/search/issues', { q: `${query} ${createdRange}`, per_page: 1 })).total_count
+
+  const metrics = { commits: 0, prs: 0, issues: 0, releases: 0, stars: null }
+  // 与 getWeekMetrics 一致，不重复统计同一仓库的子目录条目；只跟踪子目录的仓库按目录过滤
+  for (const repo of excludeSubProjects(CONFIG.repos)) {
+    const issueQuery = [`repo:${repo.owner}/${repo.name} type:issue`, getLabelQualifier(repo.issueLabels)].filter(Boolean).join(' ')
+    const pathCommits = repo.path ? await listPathCommits(github, repo.owner, repo.name, start, end, repo.path) : null
+    const [commits, prs, issues, releases] = await Promise.all([
+      repo.path ? pathCommits.length : getCommitCount(github, repo.owner, repo.name, start, end),
+      repo.path
+        ? getPullRequests(repo.owner, repo.name, start, end, repo.path, pathCommits).then(data => data.total)
+        : searchCount(`repo:${repo.owner}/${repo.name} type:pr`),
+      repo.path && repo.issueLabels.length === 0 ? 0 : searchCount(issueQuery),
+      repo.path ? [] : getReleases(repo.owner, repo.name, start, end)
+    ])
+    metrics.commits += commits
+    metrics.prs += prs
+    metrics.issues += issues
+    metrics.releases += releases.length
   }
 
-  return { totalCount: 0, topIssues: [] }
+  return metrics
 }
 
 /**
- * AI 分析功能
+ * 获取一期的趋势指标：依次使用快照、已导出的数据文件，允许联网时再通过 GitHub API 获取
  */
-async function analyzeWithAI(data, analysisType) {
-  // 获取可用的 AI 提供商
-  const availableProvider = CONFIG.ai.providers.find(provider => {
-    if (provider.name === 'dify') {
-      return provider.apiKey && provider.apiKey.length > 0
-    } else if (provider.name === 'qwen') {
-      return provider.apiKey && provider.apiKey.length > 0
-    } else if (provider.name === 'openai') {
-      return provider.apiKey && provider.apiKey.startsWith('sk-')
-    } else if (provider.name === 'claude') {
-      return provider.apiKey && provider.apiKey.startsWith('sk-ant-')
-    }
-    return false
-  })
-
-  if (!availableProvider) {
-    console.log('⚠️ 未配置 AI API Key，跳过智能分析')
-    return null
+async function loadWeekMetrics(weekNumber, { allowNetwork }) {
+  const snapshot = await findSnapshot(CONFIG.snapshotDir, weekNumber)
+  if (snapshot) {
+    return { metrics: getWeekMetrics(snapshot.weeklyData), source: 'snapshot' }
   }
 
-  console.log(`🤖 使用 ${availableProvider.name} 进行智能分析...`)
+  const data = await readWeeklyDataFile(CONFIG.dataDir, weekNumber)
+  if (data) {
+    return { metrics: getWeekMetrics(data.weeklyData), source: 'data' }
+  }
 
-  // Debug 模式：打印详细的请求信息
-  const debugMode = process.env.DEBUG === 'true' || process.env.AI_DEBUG === 'true'
+  if (!allowNetwork) {
+    return { metrics: null, source: null }
+  }
 
-  // 构建提示词
-  let prompt = ''
+  try {
+    console.log(`📈 第${weekNumber}期没有快照，通过 GitHub API 获取趋势数据...`)
+    return { metrics: await getWeekMetricsFromAPI(weekNumber), source: 'api' }
+  } catch (error) {
+    if (!(error instanceof GitHubRequestError)) throw error
 
-  if (analysisType === 'releases') {
-    prompt = `请分析 data_content 中的 OpenClaw 版本发布信息，生成详细的中文分析，突出重要功能和改进。
+    // 趋势只是辅助信息，获取失败时不中止本次生成
+    console.warn(`⚠️ 无法获取第${weekNumber}期的趋势数据: ${error.message}`)
+    return { metrics: null, source: null }
+  }
+}
 
-请提供：
-1. 主要新功能概述（4-6句话）
-2. 重要改进点（2-3句话）
-3. 对用户的影响（2句话）
+/**
+ * 收集本期及之前几期的趋势指标，按期数升序排列
+ */
+async function collectTrendHistory(weekNumber, weeklyData, { allowNetwork = true } = {}) {
+  const history = []
 
-要求详细列出新版本的改动，并突出重点。OpenClaw 是一个个人 AI 助手，支持多渠道（WhatsApp、Telegram、Slack、Discord 等）集成。`
-  } else if (analysisType === 'prs') {
-    prompt = `请分析 data_content 中的 OpenClaw 仓库 Pull Request 信息，提取重要的开发动向。
+  for (let week = Math.max(1, weekNumber - CONFIG.trends.weeks + 1); week < weekNumber; week++) {
+    history.push({ weekNumber: week, ...await loadWeekMetrics(week, { allowNetwork }) })
+  }
+  history.push({ weekNumber, metrics: getWeekMetrics(weeklyData), source: 'current' })
 
-请提供：
-1. 主要开发方向（2-4句话）
-2. 重要功能或修复（列出2-3个关键点）
-3. 社区活跃度评价（1句话）
+  return history
+}
 
-要求简洁专业，突出技术重点。OpenClaw 是一个个人 AI 助手项目，重点关注多渠道集成、Gateway 控制平面、语音功能、Canvas 等特性。`
-  } else if (analysisType === 'issues') {
-    prompt = `请分析 data_content 中的 OpenClaw 仓库 Issue 信息，总结用户关注的热点。
+// 本次运行中每个 AI 分析位置的结果：{ section, analysisType, provider, attempts }
+const aiRunLog = []
 
-请提供：
-1. 用户主要关注点（4-6句话）
-2. 常见问题类型（2-3个关键词）
-3. 社区反馈趋势（1句话）
+// 已加载的提示词模板，按语言缓存
+const promptTemplates = {}
 
-要求简洁明了，体现用户需求。OpenClaw 是一个个人 AI 助手，支持多种消息渠道和平台。`
-  } else if (analysisType === 'commits') {
-    prompt = `请分析 data_content 中的代码提交信息，总结开发动向和技术更新。
+/**
+ * 加载指定语言的提示词模板（自定义目录中的同名模板优先）
+ */
+async function getPromptTemplates(lang = DEFAULT_LANG) {
+  if (!promptTemplates[lang]) {
+    promptTemplates[lang] = await loadPromptTemplates(CONFIG.prompts.dir, lang, CONFIG.prompts.customDir)
+    if (CONFIG.prompts.customDir) {
+      console.log(`📝 使用自定义提示词模板目录: ${CONFIG.prompts.customDir}`)
+    }
+  }
+  return promptTemplates[lang]
+}
 
-请提供：
-1. 主要开发活动（2-3句话）
-2. 技术改进重点（列出2-3个关键点）
-3. 代码质量和功能演进趋势（1句话）
+/**
+ * AI 分析功能
+ * 按优先级依次尝试已配置的 AI 服务，section 用于在运行汇总中标识分析位置
+ */
+async function analyzeWithAI(data, analysisType, { section = analysisType, weekNumber, lang = DEFAULT_LANG } = {}) {
+  // 获取可用的 AI 提供商（按优先级排序）
+  const availableProviders = listAvailableProviders(CONFIG.ai.providers)
 
-要求简洁专业，突出技术发展方向。OpenClaw 是一个个人 AI 助手项目。`
+  if (availableProviders.length === 0) {
+    console.log('⚠️ 未配置 AI API Key，跳过智能分析')
+    return null
   }
 
+  const availableProvider = availableProviders[0]
+  console.log(`🤖 使用 ${availableProvider.name} 进行智能分析...`)
+
+  // Debug 模式：打印详细的请求信息
+  const debugMode = process.env.DEBUG === 'true' || process.env.AI_DEBUG === 'true'
+
+  // 根据模板构建提示词
+  const templates = await getPromptTemplates(lang)
+  const messages = getMessages(lang)
+  const variables = { ...CONFIG.prompts.variables[lang], weekNumber }
+  const renderOptions = { listSeparator: CONFIG.prompts.listSeparators[lang] }
+  const render = (name, extraVariables = {}) => renderTemplate(templates[name], { ...variables, ...extraVariables }, renderOptions)
+  const prompt = render(analysisType)
+  const systemPrompt = render('system')
+  const typeLabel = messages.analysisTypeLabels[analysisType] || analysisType
+
   // Debug 模式：显示完整的请求信息
   if (debugMode) {
     console.log('\n🔍 [DEBUG] AI 请求详情:')
@@ -360,7 +617,7 @@ async function analyzeWithAI(data, analysisType) {
     console.log('📊 原始数据预览:', JSON.stringify(data).substring(0, 200) + '...')
     console.log('📊 数据长度:', JSON.stringify(data).length, '字符')
     console.log('💬 提示词预览:', prompt.substring(0, 150) + '...')
-    console.log('🔗 服务提供商:', availableProvider.name)
+    console.log('🔗 服务提供商:', availableProviders.map(provider => provider.name).join(' → '))
     console.log('🌐 API 端点:', availableProvider.baseUrl)
 
     if (availableProvider.name === 'dify') {
@@ -381,259 +638,565 @@ async function analyzeWithAI(data, analysisType) {
     }
   }
 
-  try {
-    if (availableProvider.name === 'dify') {
-      // 准备发送给 Dify 的数据，检查长度限制
-      let dataContent = JSON.stringify(data)
-      const maxLength = 16384 // Dify data_content 字段最大长度限制
-
-      if (dataContent.length > maxLength) {
-        // 如果数据过长，进行截断处理
-        dataContent = dataContent.substring(0, maxLength - 3) + '...'
-
-        if (debugMode) {
-          console.log(`⚠️ [DEBUG] data_content 长度超限，已截断:`)
-          console.log(`├─ 原始长度: ${JSON.stringify(data).length} 字符`)
-          console.log(`├─ 截断后长度: ${dataContent.length} 字符`)
-          console.log(`└─ 最大限制: ${maxLength} 字符`)
-        }
-      }
-
-      // 使用内部 Dify 平台进行分析
-      const response = await fetch(availableProvider.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${availableProvider.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          inputs: {
-            analysis_type: analysisType,
-            data_content: dataContent,
-            prompt: prompt
-          },
-          response_mode: 'blocking', // 使用 blocking mode
-          user: availableProvider.user
-        })
-      })
-
-      if (response.ok) {
-        const result = await response.json()
-        return result.data?.outputs?.result || result.answer || '分析完成，但未返回具体内容'
-      }
-    } else if (availableProvider.name === 'qwen') {
-      // 使用阿里云 Qwen 进行分析
-      const response = await fetch(availableProvider.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${availableProvider.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: availableProvider.model,
-          input: {
-            messages: [
-              {
-                role: 'system',
-                content: '你是一个专业的技术分析师，专门分析开源项目的发展动向。请用简洁专业的中文回答。'
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ]
-          },
-          parameters: {
-            max_tokens: 500,
-            temperature: 0.7
-          }
-        })
-      })
+  // 数据较多时分批概括后再合并（map-reduce），每批都在所有可用服务的输入预算以内
+  const attempts = []
+  const usedProviders = new Set()
+  const call = async (callPrompt, callData) => {
+    const result = await analyzeWithFallback(availableProviders, { prompt: callPrompt, systemPrompt, data: callData, analysisType }, {
+      timeout: CONFIG.ai.timeout,
+      maxRetries: CONFIG.ai.maxRetries
+    })
+    attempts.push(...result.attempts)
 
-      if (response.ok) {
-        const result = await response.json()
-        return result.output?.choices?.[0]?.message?.content?.trim() || '分析完成，但未返回具体内容'
-      }
-    } else if (availableProvider.name === 'openai') {
-      const response = await fetch(`${availableProvider.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${availableProvider.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: availableProvider.model,
-          messages: [
-            {
-              role: 'system',
-              content: '你是一个专业的技术分析师，专门分析开源项目的发展动向。请用简洁专业的中文回答。'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 500,
-          temperature: 0.7
-        })
-      })
+    if (!result.provider) return null
+    usedProviders.add(result.provider)
+    return result.text || messages.emptyAnalysis
+  }
 
-      if (response.ok) {
-        const result = await response.json()
-        return result.choices[0].message.content.trim()
-      }
-    }
+  const text = await summarizeInChunks({
+    items: data,
+    analysisType,
+    prompt,
+    budget: getChunkBudget(availableProviders, prompt),
+    chunkPrompts: {
+      map: (chunkIndex, chunkCount, totalCount) => render('chunk-map', { typeLabel, chunkIndex, chunkCount, totalCount }),
+      merge: () => render('chunk-merge', { typeLabel })
+    },
+    call
+  })
+  aiRunLog.push({
+    section,
+    analysisType,
+    promptVersion: templates[analysisType].version,
+    provider: text ? [...usedProviders].join('+') : null,
+    attempts
+  })
 
-    return null
-  } catch (error) {
-    console.error(`AI 分析失败 (${analysisType}):`, error.message)
+  if (!text) {
+    console.error(`AI 分析失败 (${section}): 所有 AI 服务均不可用`)
     return null
   }
+
+  return text
 }
 
 /**
- * 生成周报内容（增强版，包含 AI 分析）
+ * 打印本次运行的 AI 分析汇总：每个位置由哪个服务生成，哪些位置没有分析
  */
-async function generateWeeklyContent(weeklyData, weekNumber, startDate, endDate) {
-  const formatDate = (date) => {
-    const year = date.getFullYear()
-    const month = date.getMonth() + 1
-    const day = date.getDate()
-    return `${year}年${month}月${day}日`
-  }
-
-  const startStr = formatDate(startDate)
-  const endStr = formatDate(endDate)
+function printAISummary() {
+  if (aiRunLog.length === 0) return
 
-  let content = `# 第${weekNumber}期【${startStr}-${endStr}】
+  console.log(`🤖 AI 分析汇总:`)
+  aiRunLog.forEach(({ section, provider, promptVersion, attempts }) => {
+    const failures = attempts.filter(attempt => !attempt.ok)
+    const failureNote = failures.length > 0 ? `（失败 ${failures.length} 次: ${failures.map(attempt => attempt.error).join('; ')}）` : ''
 
-## 📊 本周活动概览
+    if (provider) {
+      console.log(`  ✅ ${section} ← ${provider}（提示词 v${promptVersion}）${failureNote}`)
+    } else {
+      console.log(`  ❌ ${section} 无 AI 分析${failureNote}`)
+    }
+  })
 
-| 仓库 | 新增Commit | 新增PR | 新增Issue | 版本发布 |
-|------|------------|--------|-----------|----------|`
+  const missing = aiRunLog.filter(entry => !entry.provider).length
+  if (missing > 0) {
+    console.log(`⚠️ 共有 ${missing} 个位置没有 AI 分析`)
+  }
+}
 
-  // 添加各仓库的活动数据概览
-  weeklyData.forEach(data => {
-    const repoDisplayName = CONFIG.repos.find(r => r.name === data.repo.name && r.path === data.repo.path)?.displayName || data.repo.name
-    const pathDisplayName = data.repo.pathDisplayName ? ` (${data.repo.pathDisplayName})` : ''
-    const fullDisplayName = `${repoDisplayName}${pathDisplayName}`
-    const releaseCount = data.releases.length
+/**
+ * AI 分析结果在快照中的 key，例如 releases:openclaw/openclaw:v2026.3.7
+ * 非默认语言的分析加上语言前缀，例如 en:prs:openclaw/openclaw
+ */
+function getAnalysisKey(data, analysisType, id = null, lang = DEFAULT_LANG) {
+  const repoKey = [data.repo.owner, data.repo.name, data.repo.path].filter(Boolean).join('/')
+  return [lang === DEFAULT_LANG ? null : lang, analysisType, repoKey, id].filter(Boolean).join(':')
+}
 
-    content += `\n| ${fullDisplayName} | ${data.commits.total} | ${data.prs.total} | ${data.issues.total} | ${releaseCount} |`
+/**
+ * 把快照中的 AI 分析结果整理为结构化数据，provider 来自本次运行的 AI 分析汇总
+ */
+function getAISections(analyses) {
+  return Object.entries(analyses).map(([key, text]) => {
+    const parts = key.split(':')
+    const lang = LANGS.includes(parts[0]) ? parts.shift() : DEFAULT_LANG
+    const [analysisType, repo, ...id] = parts
+
+    return {
+      key,
+      lang,
+      analysisType,
+      repo,
+      id: id.length > 0 ? id.join(':') : null,
+      text,
+      provider: aiRunLog.find(entry => entry.section === key)?.provider || null
+    }
   })
+}
 
-  // 重要更新部分（包含 AI 分析）
-  content += `\n\n## 🚀 重要更新\n`
-
-  for (const data of weeklyData) {
-    if (data.releases.length > 0) {
-      content += `\n### ${data.repo.name} 版本发布\n`
-
-      for (const release of data.releases) {
-        content += `\n**${release.tagName}** - ${release.name}\n`
-        content += `- 发布时间: ${new Date(release.publishedAt).toLocaleDateString()}\n`
+/**
+ * 仓库在指定语言下的显示名称
+ */
+function getRepoDisplayName(data, lang = DEFAULT_LANG) {
+  const repoConfig = CONFIG.repos.find(r => r.owner === data.repo.owner && r.name === data.repo.name && (r.path ?? null) === (data.repo.path ?? null))
+  const localized = { ...repoConfig, ...repoConfig?.i18n?.[lang] }
+  const pathDisplayName = localized.pathDisplayName || data.repo.pathDisplayName || data.repo.path
 
-        // AI 分析版本发布内容
-        if (release.body) {
-          const aiAnalysis = await analyzeWithAI([release], 'releases')
-          if (aiAnalysis) {
-            content += `\n**🤖 AI 分析**:\n${aiAnalysis}\n`
-          }
+  return `${localized.displayName || data.repo.name}${pathDisplayName ? ` (${pathDisplayName})` : ''}`
+}
 
-          const shortBody = release.body.substring(0, 200) + (release.body.length > 200 ? '...' : '')
-          content += `- 更新内容: ${shortBody}\n`
-        }
-        content += `- [查看详情](${release.url})\n`
-      }
-    }
-  }
+/**
+ * 活动概览中各仓库的一行，周报和邮件版共用
+ * 子目录条目不统计版本发布，没有配置 issueLabels 时也不统计 Issue，对应的单元格为「—」
+ */
+function getOverviewRows(weeklyData, lang = DEFAULT_LANG) {
+  return weeklyData.map(data => ({
+    repo: getRepoDisplayName(data, lang),
+    commits: data.commits.total,
+    prs: formatPrTotal(data.prs),
+    issues: data.repo.path && !data.repo.issueLabels?.length ? '—' : data.issues.total,
+    releases: data.repo.path ? '—' : data.releases.length
+  }))
+}
 
-  // 如果没有版本发布，添加一个占位说明
-  const hasReleases = weeklyData.some(data => data.releases.length > 0)
-  if (!hasReleases) {
-    content += `\n本周暂无版本发布。\n`
-  }
+/**
+ * PR 数：REST 收集器的子目录条目有 PR 没有检查改动文件时，数量只是下限，显示为「≥N」
+ */
+function formatPrTotal(prs) {
+  return prs.unchecked > 0 ? `≥${prs.total}` : prs.total
+}
 
-  // 分类分析各仓库的更新内容
-  content += `\n## 🔄 本周更新分析\n`
+/**
+ * 渲染趋势对比表：本期、上期、变化量和变化率，以及各期的走势
+ */
+function renderTrends(trends, t) {
+  const formatSigned = (value) => `${value > 0 ? '+' : ''}${value}`
 
-  for (const data of weeklyData) {
-    const repoDisplayName = CONFIG.repos.find(r => r.name === data.repo.name)?.displayName || data.repo.name
-    const pathDisplayName = data.repo.pathDisplayName ? ` (${data.repo.pathDisplayName})` : ''
+  let content = `${t.trendsHeading}
 
-    if (data.prs.total > 0 || data.issues.total > 0) {
-      content += `\n### ${repoDisplayName}${pathDisplayName}\n`
+${t.trendsIntro(trends.previousWeek, trends.weeks[0], trends.currentWeek)}
 
-      // AI 分析 PR 内容
-      if (data.prs.total > 0) {
-        const prAnalysis = await analyzeWithAI(data.prs.prs.slice(0, 10), 'prs')
-        if (prAnalysis) {
-          content += `**🔀 PR动向分析**:\n${prAnalysis}\n\n`
-        }
+${t.trendsTableHeader}`
 
-        if (data.prs.prs.length > 0) {
-          content += `**重要PR** (共${data.prs.total}个，合并${data.prs.merged}个):\n`
-          data.prs.prs.slice(0, 10).forEach(pr => {
-            content += `- [#${pr.number}](${pr.url}) ${pr.title} - @${pr.user}\n`
-          })
-          content += `\n`
-        }
+  trends.metrics.forEach(({ metric, current, previous, delta, percent, swing, series }) => {
+    let change = '—'
+    if (delta !== null) {
+      change = formatSigned(delta)
+      if (percent !== null) {
+        change += ` (${formatSigned(Number((percent * 100).toFixed(1)))}%)`
       }
-
-      // 热门 Issue 分析
-      if (data.issues.total > 0) {
-        content += `**🔥 本周热门讨论** (按点赞排序):\n\n`
-        data.issues.issues.forEach(issue => {
-          content += `- ${issue.reactions > 0 ? `${issue.reactions}× ` : ''}[#${issue.number}](${issue.url}) ${issue.title} - @${issue.user}\n`
-        })
-        content += `\n`
-
-        // AI 分析热门 Issue
-        const issueAnalysis = await analyzeWithAI(data.issues.issues, 'issues')
-        if (issueAnalysis) {
-          content += `**🤖 AI 概括分析**:\n${issueAnalysis}\n\n`
-        }
+      if (swing) {
+        change += ` ${t.trendSwing}`
       }
     }
-  }
-
-  // 结尾
-  content += `\n## 📝 本期总结
 
-本周 OpenClaw 生态继续保持活跃发展，共计 **${weeklyData.reduce((acc, data) => acc + data.commits.total, 0)}** 次提交，**${weeklyData.reduce((acc, data) => acc + data.prs.total, 0)}** 个PR，**${weeklyData.reduce((acc, data) => acc + data.issues.total, 0)}** 个Issue（热门讨论见上方）。
+    content += `\n| ${t.trendMetricLabels[metric]} | ${current ?? '—'} | ${previous ?? '—'} | ${change} | \`${renderSparkline(series)}\` |`
+  })
 
----
+  return content
+}
 
-*本期编辑：AIOPS助手 | 数据统计截止：${endStr}* 🦞`
+/**
+ * 按重要性评分选出「重要PR」，DEBUG=true 时打印各项得分
+ */
+function selectImportantPullRequests(data) {
+  const { topCount, weights, caps, labelWeights } = CONFIG.significance
+  const ranked = rankPullRequests(data.prs.prs, {
+    weights,
+    caps,
+    labelWeights,
+    releaseReferences: getReleaseReferences(data.releases)
+  }).slice(0, topCount)
+
+  if (process.env.DEBUG === 'true') {
+    console.log(`\n🔍 [DEBUG] 重要PR评分 (${data.repo.owner}/${data.repo.name}):`)
+    ranked.forEach(({ pr, score }) => {
+      const parts = Object.entries(score.parts)
+        .filter(([, value]) => value > 0)
+        .map(([name, value]) => `${name} ${Math.round(value * 10) / 10}`)
+        .join(' + ')
+      console.log(`  #${pr.number} ${score.total} = ${parts || '0'}  ${pr.title}`)
+    })
+  }
 
-  return content
+  return ranked.map(({ pr }) => pr)
 }
 
 /**
- * 计算周期时间
+ * 把发布说明条目中的 #1234 链接到对应的 PR
  */
-function getWeekPeriod(weekNumber) {
-  // 基准时间：2025年12月29日（星期一）是第1期开始
-  // 这样每周都是从周一到周日的完整周
-  const baseDate = new Date('2025-12-29')
-  const startDate = new Date(baseDate.getTime() + (weekNumber - 1) * 7 * 24 * 60 * 60 * 1000)
-  const endDate = new Date(startDate.getTime() + 7 * 24 * 60 * 60 * 1000 - 1)
+function linkReleaseEntry(entry, data) {
+  return entry.text.replace(/(^|[^\w[&/])#(\d+)\b(?!\])/g, (match, prefix, number) =>
+    `${prefix}[#${number}](https://github.com/${data.repo.owner}/${data.repo.name}/pull/${number})`)
+}
 
-  return { start: startDate, end: endDate }
+/**
+ * 渲染一组版本发布的更新摘要：新功能与改进、问题修复（破坏性变更单独提示），每个分节最多列出 digestLimit 条
+ */
+function renderReleaseDigest(group, data, t) {
+  const limit = CONFIG.releases.digestLimit
+
+  return RELEASE_SECTIONS.filter(section => section !== 'breaking' && group.notes[section].length > 0).map(section => {
+    const entries = group.notes[section]
+    let content = `${t.releaseSections[section](entries.length)}:\n`
+    entries.slice(0, limit).forEach(entry => {
+      content += `- ${linkReleaseEntry(entry, data)}\n`
+    })
+    if (entries.length > limit) {
+      content += `${t.moreItems(entries.length - limit)}\n`
+    }
+    return content
+  }).join('\n')
 }
 
 /**
- * 主函数
+ * 渲染单个仓库的 PR 分类：每个类型和领域一个小节，列出数量和部分 PR
  */
-async function main() {
-  const weekNumber = process.argv[2] || 1
-  console.log(`🚀 开始生成第${weekNumber}期 OpenClaw Weekly... 🦞`)
+function renderCategories(prs, t, lang) {
+  const { types, areas, fallbackType, listLimit } = CONFIG.categories
+  const groups = categorizePullRequests(prs, { types, areas, fallbackType: fallbackType.id })
+  const rulesById = new Map([...types, fallbackType, ...areas].map(rule => [rule.id, rule]))
+
+  const renderGroup = ({ id, prs: groupPrs }) => {
+    const rule = rulesById.get(id)
+    const title = [rule.emoji, localize(rule.name, lang)].filter(Boolean).join(' ')
+    let section = `${t.categoryHeading(title, groupPrs.length, groupPrs.filter(pr => pr.mergedAt).length)}\n\n`
+    groupPrs.slice(0, listLimit).forEach(pr => {
+      section += `- [#${pr.number}](${pr.url}) ${pr.title} - @${pr.user}\n`
+    })
+    if (groupPrs.length > listLimit) {
+      section += `${t.moreItems(groupPrs.length - listLimit)}\n`
+    }
+    return section + '\n'
+  }
 
-  // 计算时间范围
-  const { start: startDate, end: endDate } = getWeekPeriod(parseInt(weekNumber))
-  console.log(`📅 时间范围: ${startDate.toISOString().split('T')[0]} 至 ${endDate.toISOString().split('T')[0]}`)
+  let content = `${t.prCategories}:\n\n${groups.types.map(renderGroup).join('')}`
+  if (groups.areas.length > 0) {
+    content += `${t.prAreas}:\n\n${groups.areas.map(renderGroup).join('')}`
+  }
+  return content
+}
 
-  // 收集所有仓库数据
+/**
+ * 渲染单个仓库的贡献者分析：排行、新贡献者、评审人和机器人账号
+ */
+function renderContributors(data, t) {
+  const { authors, bots, firstTimers, reviewers, reviewedPrs, mergedPrs } = data.contributors
+  const displayName = (contributor) => contributor.login ? `@${contributor.login}` : contributor.name
+  const topCount = CONFIG.contributors.topCount
+
+  let content = `${t.contributorsSummary(authors.length, bots.length)}\n\n`
+
+  if (authors.length > 0) {
+    content += `${t.topContributors}:\n\n${t.contributorsTableHeader}\n`
+    authors.slice(0, topCount).forEach(author => {
+      content += `| ${displayName(author)} | ${author.mergedPrs} | ${author.prs} | ${author.commits} |\n`
+    })
+    content += `\n`
+  }
+
+  if (firstTimers.length > 0) {
+    content += `${t.firstTimers}:\n`
+    firstTimers.forEach(({ login, prs }) => {
+      const links = prs.map(number => {
+        const pr = data.prs.prs.find(item => item.number === number)
+        return pr ? `[#${number}](${pr.url})` : `#${number}`
+      })
+      content += `- @${login} (${links.join(', ')})\n`
+    })
+    content += `\n`
+  }
+
+  if (reviewers.length > 0) {
+    content += `${t.reviewers(reviewedPrs, mergedPrs)}:\n`
+    reviewers.slice(0, topCount).forEach(({ login, reviews }) => {
+      content += `- @${login}: ${t.reviewCount(reviews)}\n`
+    })
+    content += `\n`
+  }
+
+  if (bots.length > 0) {
+    content += `${t.bots}:\n`
+    bots.forEach(bot => {
+      content += `- ${displayName(bot)}: ${t.botActivity(bot.prs, bot.commits)}\n`
+    })
+    content += `\n`
+  }
+
+  return content
+}
+
+/**
+ * 渲染单个仓库的健康度：Issue 和 PR 并列的指标表
+ * 长期未更新的数量是查询时的当前值，标注查询日期（旧数据没有记录时只标注为当前值）
+ */
+function renderHealth(health, t, lang, timeZone) {
+  const { issues, prs, staleDays, staleCheckedAt = null } = health
+  const signed = (value) => `${value > 0 ? '+' : ''}${value}`
+  const durations = ({ median, p90 }) => `${formatDuration(median, lang)} / ${formatDuration(p90, lang)}`
+  const rows = [
+    [t.healthMetricLabels.openedClosed, `${issues.opened} / ${issues.closed}`, `${prs.opened} / ${prs.closed}`],
+    [t.healthMetricLabels.backlogGrowth, signed(issues.backlogGrowth), signed(prs.backlogGrowth)],
+    [t.healthMetricLabels.firstResponse, durations(issues.firstResponse), durations(prs.firstResponse)],
+    [t.healthMetricLabels.waiting, `${issues.firstResponse.waiting} / ${issues.firstResponse.sampled}`, `${prs.firstResponse.waiting} / ${prs.firstResponse.sampled}`],
+    [t.healthMetricLabels.timeToClose, durations(issues.timeToClose), durations(prs.timeToMerge)],
+    [t.healthMetricLabels.stale(staleDays, staleCheckedAt && formatDate(new Date(staleCheckedAt), lang, timeZone)), issues.stale, prs.stale]
+  ]
+
+  let content = `${t.healthTableHeader}\n`
+  rows.forEach(row => {
+    content += `| ${row.join(' | ')} |\n`
+  })
+  return `${content}\n${t.healthNote}\n`
+}
+
+/**
+ * 生成周报内容（增强版，包含 AI 分析）
+ * options.analyze(key, input, analysisType) 用于替换 AI 分析，例如从快照中读取已保存的结果
+ * options.lang 为周报语言，决定文案、日期格式和 AI 分析使用的提示词
+ * options.trends 为周环比趋势（lib/trends.js 的 buildTrends 结果），省略时不显示趋势对比
+ * options.timeZone 为显示日期使用的时区，默认为 CONFIG.period.timeZone
+ */
+async function generateWeeklyContent(weeklyData, weekNumber, startDate, endDate, options = {}) {
+  const lang = options.lang || DEFAULT_LANG
+  const t = getMessages(lang)
+  const analyze = options.analyze || ((key, input, analysisType) => analyzeWithAI(input, analysisType, { section: key, weekNumber, lang }))
+
+  const timeZone = options.timeZone || CONFIG.period.timeZone
+  const endStr = formatDate(endDate, lang, timeZone)
+  const title = t.title(weekNumber, formatDateRange(startDate, endDate, lang, timeZone))
+  let summarySource = null
+
+  let content = `# ${title}
+
+${t.overviewHeading}
+
+${t.overviewTableHeader}`
+
+  // 添加各仓库的活动数据概览
+  getOverviewRows(weeklyData, lang).forEach(row => {
+    content += `\n| ${row.repo} | ${row.commits} | ${row.prs} | ${row.issues} | ${row.releases} |`
+  })
+  const uncheckedPrs = weeklyData.reduce((sum, data) => sum + (data.prs.unchecked || 0), 0)
+  if (uncheckedPrs > 0) {
+    content += `\n\n${t.prsUncheckedNote(uncheckedPrs)}`
+  }
+
+  // 周环比趋势
+  if (options.trends) {
+    content += `\n\n${renderTrends(options.trends, t)}`
+  }
+
+  // 重要更新部分（包含 AI 分析）
+  content += `\n\n${t.highlightsHeading}\n`
+
+  for (const data of weeklyData) {
+    if (data.releases.length > 0) {
+      content += `\n${t.releasesHeading(data.repo.name)}\n`
+
+      // 预发布版本合并到同一周的正式版本，每组只做一次 AI 分析
+      for (const group of groupReleases(data.releases)) {
+        content += `\n**${group.tagName}** - ${group.name}\n`
+        content += `- ${t.publishedAt}: ${formatShortDate(new Date(group.publishedAt), lang, timeZone)}\n`
+        if (group.prereleases.length > 0) {
+          content += `- ${t.includesPrereleases}: ${group.prereleases.join(', ')}\n`
+        }
+        content += `- [${t.viewDetails}](${group.url})\n`
+
+        const hasNotes = RELEASE_SECTIONS.some(section => group.notes[section].length > 0)
+        const lead = data.releases.find(release => release.tagName === group.tagName)
+
+        // 破坏性变更放在最前面
+        if (group.notes.breaking.length > 0) {
+          content += `\n> ${t.breakingNotice(group.notes.breaking.length)}\n>\n`
+          group.notes.breaking.forEach(entry => {
+            content += `> - ${linkReleaseEntry(entry, data)}\n`
+          })
+        }
+
+        // AI 分析版本发布内容；能解析出条目时只提供去重后的条目
+        if (hasNotes || lead.body) {
+          const input = hasNotes
+            ? { tagName: group.tagName, name: group.name, publishedAt: group.publishedAt, prereleases: group.prereleases, notes: group.notes }
+            : lead
+          const aiAnalysis = await analyze(getAnalysisKey(data, 'releases', group.tagName, lang), [input], 'releases')
+          if (aiAnalysis) {
+            content += `\n${t.aiAnalysis}:\n${aiAnalysis}\n`
+          }
+        }
+
+        if (hasNotes) {
+          content += `\n${renderReleaseDigest(group, data, t)}`
+        } else if (lead.body) {
+          // 发布说明没有可识别的分节时，保留原来的节选
+          const shortBody = lead.body.substring(0, 200) + (lead.body.length > 200 ? '...' : '')
+          content += `\n- ${t.releaseBody}: ${shortBody}\n`
+        }
+      }
+    }
+  }
+
+  // 如果没有版本发布，添加一个占位说明
+  const hasReleases = weeklyData.some(data => data.releases.length > 0)
+  if (!hasReleases) {
+    content += `\n${t.noReleases}\n`
+  }
+
+  // 分类分析各仓库的更新内容
+  content += `\n${t.updatesHeading}\n`
+
+  for (const data of weeklyData) {
+    if (data.prs.total > 0 || data.issues.total > 0) {
+      content += `\n### ${getRepoDisplayName(data, lang)}\n`
+
+      // AI 分析 PR 内容
+      if (data.prs.total > 0) {
+        const prAnalysis = await analyze(getAnalysisKey(data, 'prs', null, lang), data.prs.prs, 'prs')
+        if (prAnalysis) {
+          content += `${t.prAnalysis}:\n${prAnalysis}\n\n`
+          summarySource ??= prAnalysis
+        }
+
+        if (data.prs.prs.length > 0) {
+          content += `${t.importantPrs(data.prs.total, data.prs.merged, data.prs.unchecked > 0)}:\n`
+          selectImportantPullRequests(data).forEach(pr => {
+            content += `- [#${pr.number}](${pr.url}) ${pr.title} - @${pr.user}\n`
+          })
+          content += `\n`
+
+          content += renderCategories(data.prs.prs, t, lang)
+        }
+      }
+
+      // 热门 Issue 分析
+      if (data.issues.total > 0) {
+        content += `${t.hotIssues}:\n\n`
+        data.issues.issues.forEach(issue => {
+          content += `- ${issue.reactions > 0 ? `${issue.reactions}× ` : ''}[#${issue.number}](${issue.url}) ${issue.title} - @${issue.user}\n`
+        })
+        content += `\n`
+
+        // AI 分析热门 Issue
+        const issueAnalysis = await analyze(getAnalysisKey(data, 'issues', null, lang), data.issues.issues, 'issues')
+        if (issueAnalysis) {
+          content += `${t.issueAnalysis}:\n${issueAnalysis}\n\n`
+        }
+      }
+    }
+  }
+
+  // 贡献者分析（旧快照中没有贡献者数据时跳过）
+  const contributorData = weeklyData.filter(data => data.contributors)
+  if (contributorData.length > 0) {
+    content += `\n${t.contributorsHeading}\n`
+    contributorData.forEach(data => {
+      content += `\n### ${getRepoDisplayName(data, lang)}\n\n${renderContributors(data, t)}`
+    })
+  }
+
+  // 项目健康度（旧快照中没有健康度数据时跳过）
+  const healthData = weeklyData.filter(data => data.health)
+  if (healthData.length > 0) {
+    content += `\n${t.healthHeading}\n`
+    healthData.forEach(data => {
+      content += `\n### ${getRepoDisplayName(data, lang)}\n\n${renderHealth(data.health, t, lang, timeZone)}`
+    })
+  }
+
+  // 结尾
+  const totals = getTotals(weeklyData)
+
+  content += `\n${t.summaryHeading}
+
+${t.summary(totals.commits, totals.prs, totals.issues)}
+
+---
+
+${t.footer(endStr)}`
+
+  // front matter 供周报索引、归档页使用（见 lib/weekly-index.js），摘要取第一个仓库的 PR 动向分析
+  const frontMatter = stringifyFrontMatter({
+    title,
+    week: Number(weekNumber),
+    period: { start: startDate.toISOString(), end: endDate.toISOString(), timeZone },
+    totals,
+    tags: getIssueTags(weeklyData, lang),
+    summary: getPlainExcerpt(summarySource || t.summary(totals.commits, totals.prs, totals.issues))
+  })
+
+  return `${frontMatter}\n${content}`
+}
+
+/**
+ * 周报的标签：本周发布的版本（预发布版本归入正式版本），以及 PR 最多的几个领域
+ */
+function getIssueTags(weeklyData, lang) {
+  const repoData = excludeSubProjects(weeklyData, data => data.repo)
+  const releaseTags = repoData.flatMap(data => groupReleases(data.releases).map(group => group.tagName))
+
+  const { areas, tagLimit } = CONFIG.categories
+  const areaCounts = new Map()
+  for (const data of repoData) {
+    categorizePullRequests(data.prs.prs, { areas }).areas.forEach(({ id, prs }) => {
+      areaCounts.set(id, (areaCounts.get(id) || 0) + prs.length)
+    })
+  }
+  const areaTags = [...areaCounts.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, tagLimit)
+    .map(([id]) => localize(areas.find(area => area.id === id).name, lang))
+
+  return [...new Set([...releaseTags, ...areaTags])]
+}
+
+/**
+ * 各仓库 PR 的分类统计，随数据文件导出供数据看板使用；同时记录当时的分类规则，规则调整后旧数据仍能显示
+ */
+function getCategoryCounts(weeklyData) {
+  const { types, areas, fallbackType } = CONFIG.categories
+  const toRule = ({ id, emoji, name }) => ({ id, ...(emoji ? { emoji } : {}), name })
+  const toCounts = (groups) => Object.fromEntries(groups.map(({ id, prs }) => [id, prs.length]))
+
+  return {
+    types: [...types, fallbackType].map(toRule),
+    areas: areas.map(toRule),
+    repos: weeklyData.map(data => {
+      const groups = categorizePullRequests(data.prs.prs, { types, areas, fallbackType: fallbackType.id })
+      return {
+        repo: [data.repo.owner, data.repo.name, data.repo.path].filter(Boolean).join('/'),
+        types: toCounts(groups.types),
+        areas: toCounts(groups.areas)
+      }
+    })
+  }
+}
+
+/**
+ * 计算周期时间：按 CONFIG.period 的时区和周期，默认每期为上海时间周一 0 点至周日 24 点
+ */
+function getWeekPeriod(weekNumber) {
+  return getPeriod(weekNumber, CONFIG.period)
+}
+
+/**
+ * 统计周期是否正好是第 weekNumber 期
+ */
+function isWeekPeriod(period, weekNumber) {
+  const { start, end } = getWeekPeriod(weekNumber)
+  return period.start.getTime() === start.getTime() && period.end.getTime() === end.getTime()
+}
+
+/**
+ * 日期所在的期数（getWeekPeriod 的反向计算），早于第1期时小于 1
+ */
+function getWeekNumber(date) {
+  return getPeriodNumber(date, CONFIG.period)
+}
+
+/**
+ * 在线收集所有仓库的周数据
+ */
+async function collectWeeklyData(startDate, endDate) {
   const weeklyData = []
   for (const repo of CONFIG.repos) {
     const data = await getWeeklyData(
@@ -642,219 +1205,904 @@ async function main() {
       startDate,
       endDate,
       repo.path,
-      repo.pathDisplayName
+      repo.pathDisplayName,
+      { issueLabels: repo.issueLabels }
     )
     weeklyData.push(data)
 
     // 添加延迟避免API限制
     await new Promise(resolve => setTimeout(resolve, 1000))
   }
+  return weeklyData
+}
+
+/**
+ * 周报 Markdown 所在目录：默认语言为 docs/，其他语言为 <lang>/docs/
+ */
+function getDocsDir(lang = DEFAULT_LANG) {
+  return path.join(__dirname, '..', ...(lang === DEFAULT_LANG ? [] : [lang]), 'docs')
+}
+
+/**
+ * 该期已生成的各语言周报页面的站内路径
+ */
+async function getIssuePages(weekNumber) {
+  const fileName = getIssueFileName(weekNumber)
+  const pages = {}
+
+  for (const lang of LANGS) {
+    try {
+      await fs.access(path.join(getDocsDir(lang), fileName))
+      pages[lang] = `${getLocalePrefix(lang)}/docs/${fileName.replace('.md', '')}`
+    } catch {
+      // 该语言还没有这一期
+    }
+  }
+
+  return pages
+}
+
+/**
+ * 读取配置文件中跟踪的仓库，未指定配置文件时在项目根目录查找 weekly.config.json / .yaml / .yml
+ */
+async function loadRepos(configFile) {
+  const rootDir = path.join(__dirname, '..')
+  const filePath = configFile ? path.resolve(configFile) : await findConfigFile(rootDir)
+  if (!filePath) {
+    throw new Error(`未找到配置文件，请在项目根目录创建 ${CONFIG_FILE_NAMES.join(' / ')} 之一`)
+  }
+
+  const { repos } = await loadWeeklyConfig(filePath)
+  console.log(`⚙️ 已读取配置文件 ${path.relative(rootDir, filePath)}，跟踪 ${repos.length} 个仓库/目录`)
+  return repos
+}
+
+/**
+ * 命令行帮助
+ */
+const USAGE = `用法: node scripts/auto-weekly-generator.js [命令] [期数] [选项]
+
+命令:
+  generate [期数]     生成一期周报（默认命令，可以省略）
+  regenerate-all      用快照离线重新生成所有已有的周报（各语言）
+  rebuild-index       重建侧边栏、首页周报列表和 docs/data/index.json
+  preview [期数]      把周报输出到 stdout，不写入任何文件；省略期数时预览当前这一期截至目前的数据
+  notify [期数]       把已生成的一期（默认为最新一期）的摘要发送到配置的聊天 Webhook
+  render-email [期数] 把已生成的一期（默认为最新一期）渲染成邮件（HTML 和纯文本），输出到 dist/email/
+
+选项:
+  --latest            生成最近一期已经结束的周期
+  --from <日期>       自定义统计周期的开始日期（YYYY-MM-DD）
+  --to <日期>         自定义统计周期的结束日期（含当天，默认为当前时间）；
+                      与所在的一期不一致时只能和 --dry-run 一起使用
+  --dry-run           把周报输出到 stdout，不写入任何文件；notify 命令只打印将要发送的消息，
+                      render-email 把邮件 HTML 输出到 stdout，不写入文件也不发送
+  --no-ai             不调用 AI 服务，只生成数据部分
+  --force             覆盖已有的周报时不再确认
+  --notify            生成后把摘要发送到配置的聊天 Webhook（Slack / Discord / 飞书 / Telegram）；
+                      和 --dry-run 一起使用时只打印将要发送的消息
+  --source <来源>     render-email 的内容来源: markdown（默认，周报 Markdown）或 data（docs/data/NN.json）
+  --out <目录>        render-email 的输出目录
+  --send              render-email 渲染后通过 SMTP 发送（SMTP_HOST、EMAIL_TO 等环境变量）
+  --from-snapshot     从 snapshots/NN.json 离线重新生成周报，不访问任何网络
+  --prompts-dir <目录> 使用自定义的提示词模板目录（缺少的模板使用 prompts/ 中的默认版本）
+  --config <文件>     使用指定的配置文件（默认为项目根目录的 weekly.config.json）
+  --lang <语言>       周报语言，默认 zh；其他语言（如 en）输出到 <lang>/docs/NN.md，
+                      已有该期快照时复用快照中的数据，只重新生成该语言的 AI 分析
+  -h, --help          显示帮助`
+
+const COMMANDS = ['generate', 'regenerate-all', 'rebuild-index', 'preview', 'notify', 'render-email']
+
+/**
+ * 解析期数，必须是正整数
+ */
+function parseWeekNumber(value) {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`无效的期数或命令: ${value}（可用命令: ${COMMANDS.join(', ')}）`)
+  }
+  return Number(value)
+}
+
+/**
+ * --from / --to 指定的统计周期（按 CONFIG.period.timeZone 的日期，两天都包含在内），
+ * 省略 --to 时统计到当前时间；都没有指定时返回 null
+ */
+function getCustomPeriod(from, to) {
+  if (!from && !to) return null
+  if (!from) {
+    throw new Error('指定 --to 时必须同时指定 --from')
+  }
+
+  const range = getDayRange(from, to || from, CONFIG.period.timeZone)
+  const period = to ? range : { ...range, end: new Date() }
+  if (period.end < period.start) {
+    throw new Error(`结束日期早于开始日期: ${from} 至 ${to || '现在'}`)
+  }
+  return period
+}
+
+// 当前命令执行到的步骤和已经写入的文件，出错时由 main 报告失败的步骤，而不是笼统地说没有写入文件
+const progress = { task: '周报生成', step: null, written: [] }
+
+/**
+ * 记录当前执行的步骤
+ */
+function startStep(step) {
+  progress.step = step
+}
+
+/**
+ * 记录已经写入的文件
+ */
+function recordWritten(file) {
+  progress.written.push(path.relative(path.join(__dirname, '..'), file))
+}
+
+/**
+ * 周报文件是否已经存在；存在且没有 --force 时在终端中确认，非交互环境直接报错
+ */
+async function confirmOverwrite(files, force) {
+  const existing = []
+  for (const file of files) {
+    try {
+      await fs.access(file)
+      existing.push(path.relative(path.join(__dirname, '..'), file))
+    } catch {
+      // 文件不存在，不需要确认
+    }
+  }
+  if (existing.length === 0 || force) return
+
+  const list = existing.length > 3 ? `${existing.slice(0, 3).join(', ')} 等 ${existing.length} 个文件` : existing.join(', ')
+  if (!process.stdin.isTTY) {
+    throw new Error(`${list} 已存在，使用 --force 覆盖`)
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  const answer = await rl.question(`❓ ${list} 已存在，是否覆盖？(y/N) `)
+  rl.close()
+  if (!/^y(es)?$/i.test(answer.trim())) {
+    throw new Error('已取消，没有覆盖已有的周报')
+  }
+}
+
+/**
+ * 生成一期周报
+ *
+ * @param {number} weekNumber 期数
+ * @param {object} options
+ * @param {string} options.lang 周报语言
+ * @param {boolean} [options.fromSnapshot] 从快照离线重新生成
+ * @param {{ start: Date, end: Date }|null} [options.period] 自定义统计周期，默认为该期所在的周；与该期不一致时只能 dryRun
+ * @param {boolean} [options.dryRun] 只返回周报内容，不写入任何文件
+ * @param {boolean} [options.noAI] 不调用 AI 服务
+ * @param {boolean} [options.rebuildIndex] 生成后更新侧边栏、首页和数据索引（批量生成时最后统一更新）
+ * @param {boolean} [options.notify] 生成后发送聊天通知（dryRun 时只打印消息）
+ * @returns {Promise<string>} 周报内容
+ */
+async function generateIssue(weekNumber, { lang, fromSnapshot = false, period: customPeriod = null, dryRun = false, noAI = false, rebuildIndex = true, notify = false }) {
+  console.log(`🚀 开始生成第${weekNumber}期 OpenClaw Weekly（${lang}）... 🦞`)
+  const step = (name) => startStep(`第${weekNumber}期（${lang}）${name}`)
+
+  // --from-snapshot 必须有快照；其他语言有快照时复用其中的数据，保证各语言版本内容一致
+  // 自定义统计周期时重新收集数据，不复用快照
+  step('读取快照')
+  const snapshot = fromSnapshot
+    ? await loadSnapshot(CONFIG.snapshotDir, weekNumber)
+    : lang !== DEFAULT_LANG && !customPeriod ? await findSnapshot(CONFIG.snapshotDir, weekNumber) : null
+
+  let weeklyData, period, analyze
+  const analyses = { ...snapshot?.analyses }
+  const dataCollectedAt = snapshot?.createdAt || new Date().toISOString()
+
+  if (snapshot) {
+    weeklyData = snapshot.weeklyData
+    period = snapshot.period
+  } else {
+    // 计算时间范围
+    period = customPeriod || getWeekPeriod(weekNumber)
+    console.log(`📅 时间范围: ${formatISODay(period.start, period.timeZone)} 至 ${formatISODay(period.end, period.timeZone)}（${period.timeZone}）`)
+
+    // 收集所有仓库数据
+    step('收集数据')
+    weeklyData = await collectWeeklyData(period.start, period.end)
+  }
+
+  // 周环比趋势：快照中已有时直接使用，保证重新生成时结果一致
+  step('获取趋势数据')
+  const trendHistory = snapshot?.trendHistory || await collectTrendHistory(weekNumber, weeklyData, { allowNetwork: !fromSnapshot })
+  const trends = buildTrends(trendHistory, CONFIG.trends)
+
+  if (fromSnapshot) {
+    console.log(`📦 使用快照重新生成（创建于 ${snapshot.createdAt}），不访问网络`)
+  } else if (snapshot) {
+    console.log(`📦 复用第${weekNumber}期快照中的数据（创建于 ${snapshot.createdAt}），重新生成 ${lang} 分析`)
+  }
+
+  if (noAI) {
+    console.log('⏭️ 已跳过 AI 分析（--no-ai）')
+    analyze = async () => null
+  } else if (fromSnapshot) {
+    analyze = async (key) => snapshot.analyses[key] ?? null
+  } else {
+    // 记录 AI 分析结果，随数据一起保存到快照
+    analyze = async (key, input, analysisType) => {
+      analyses[key] = await analyzeWithAI(input, analysisType, { section: key, weekNumber, lang })
+      return analyses[key]
+    }
+  }
 
   // 生成周报内容
-  const content = await generateWeeklyContent(weeklyData, weekNumber, startDate, endDate)
+  step('生成周报内容')
+  const content = await generateWeeklyContent(weeklyData, weekNumber, period.start, period.end, { analyze, lang, trends, timeZone: period.timeZone })
+
+  if (dryRun) {
+    printAISummary()
+    if (notify) {
+      await notifyIssue(weekNumber, { lang, digest: buildNotifyDigest(weeklyData, weekNumber, period, lang), dryRun })
+    }
+    return content
+  }
+
+  // 在线重新收集时会覆盖原有的快照：本次没有生成的分析（--no-ai、分析失败、其他语言）沿用原快照中的结果
+  const previousSnapshot = snapshot || (fromSnapshot ? null : await findSnapshot(CONFIG.snapshotDir, weekNumber))
+  const savedAnalyses = {
+    ...previousSnapshot?.analyses,
+    ...Object.fromEntries(Object.entries(analyses).filter(([, text]) => text !== null))
+  }
+  const promptVersions = {
+    ...previousSnapshot?.promptVersions,
+    ...(promptTemplates[lang] ? { [lang]: getTemplateVersions(promptTemplates[lang]) } : {})
+  }
+
+  if (!fromSnapshot) {
+    step('保存快照')
+    const snapshotPath = await saveSnapshot(CONFIG.snapshotDir, weekNumber, {
+      period,
+      weeklyData,
+      analyses: savedAnalyses,
+      promptVersions,
+      trendHistory,
+      createdAt: dataCollectedAt
+    })
+    recordWritten(snapshotPath)
+    console.log(`📦 已保存数据快照: ${snapshotPath}`)
+  }
 
   // 保存到文件
-  const outputPath = path.join(__dirname, '..', 'docs', `${weekNumber.toString().padStart(2, '0')}.md`)
+  step('写入周报')
+  const docsDir = getDocsDir(lang)
+  const outputPath = path.join(docsDir, getIssueFileName(weekNumber))
+  await fs.mkdir(docsDir, { recursive: true })
   await fs.writeFile(outputPath, content, 'utf8')
-
-  // 自动更新 VitePress 配置和首页
-  await updateVitePressConfig(weekNumber)
-  await updateIndexPage(weekNumber)
+  recordWritten(outputPath)
+
+  // 导出结构化数据
+  step('导出结构化数据')
+  const dataPath = await writeWeeklyDataFile(CONFIG.dataDir, weekNumber, {
+    period,
+    weeklyData,
+    aiSections: getAISections(savedAnalyses),
+    pages: await getIssuePages(weekNumber),
+    trends,
+    categories: getCategoryCounts(weeklyData),
+    generator: {
+      name: 'openclaw-weekly/auto-weekly-generator',
+      source: snapshot ? 'snapshot' : 'live',
+      collector: snapshot ? null : CONFIG.github.collector,
+      dataCollectedAt,
+      promptVersions
+    }
+  })
+  recordWritten(dataPath)
+  console.log(`🗂️ 已导出结构化数据: ${dataPath}`)
+
+  // 自动更新数据索引、VitePress 配置和首页，并校验订阅源
+  if (rebuildIndex) {
+    await rebuildDataIndex()
+    await updateVitePressConfig(weekNumber, lang)
+    await updateIndexPage(weekNumber, lang)
+    await updateArchivePage(weekNumber, lang)
+    await checkFeed(weekNumber, lang)
+  }
 
   console.log(`✅ 第${weekNumber}期周报已生成: ${outputPath}`)
   console.log(`📊 数据统计:`)
   weeklyData.forEach(data => {
-    console.log(`  - ${data.repo.name}: ${data.commits.total} commits, ${data.prs.total} PRs, ${data.issues.total} issues`)
+    console.log(`  - ${[data.repo.name, data.repo.path].filter(Boolean).join('/')}: ${data.commits.total} commits, ${data.prs.total} PRs, ${data.issues.total} issues`)
   })
+  printAISummary()
+
+  if (notify) {
+    await notifyIssue(weekNumber, { lang, digest: buildNotifyDigest(weeklyData, weekNumber, period, lang) })
+  }
+
+  return content
 }
 
-// 错误处理
-process.on('unhandledRejection', (error) => {
-  console.error('Unhandled promise rejection:', error)
-  process.exit(1)
-})
+/**
+ * 重建数据索引 docs/data/index.json，返回写入的路径，内容没有变化时返回 null
+ */
+async function rebuildDataIndex() {
+  startStep('更新数据索引')
+  const indexPath = await updateDataIndex(CONFIG.dataDir)
+  if (indexPath) {
+    recordWritten(indexPath)
+  }
+  return indexPath
+}
 
-// 如果直接运行此脚本
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error)
+/**
+ * 重建数据索引，以及各语言的侧边栏、首页列表和归档页
+ */
+async function rebuildIndexes() {
+  if (await rebuildDataIndex()) {
+    console.log('✅ 已重建 docs/data/index.json')
+  } else {
+    console.log('✅ docs/data/index.json 没有变化，未改写')
+  }
+
+  for (const lang of LANGS) {
+    const { latest, issues } = await getWeeklyIndex(lang)
+    // 归档页在导航中，没有周报的语言也生成
+    await updateArchivePage(issues[0]?.week, lang)
+    if (!latest) continue
+
+    await updateVitePressConfig(issues[0].week, lang)
+    await updateIndexPage(issues[0].week, lang)
+    await checkFeed(issues[0].week, lang)
+  }
 }
 
 /**
- * 更新 VitePress 配置文件
- * 自动按月份分组管理侧边栏
+ * 用快照重新生成所有已有的周报，没有快照的期数跳过
  */
-async function updateVitePressConfig(weekNumber) {
-  const configPath = path.join(__dirname, '..', '.vitepress', 'config.js')
+async function regenerateAll({ noAI, force }) {
+  const jobs = []
+  for (const lang of LANGS) {
+    const { issues } = await getWeeklyIndex(lang)
+    for (const weekNumber of issues.map(issue => issue.week).reverse()) {
+      if (await findSnapshot(CONFIG.snapshotDir, weekNumber)) {
+        jobs.push({ weekNumber, lang })
+      } else {
+        console.log(`⚠️ 第${weekNumber}期（${lang}）没有快照，跳过`)
+      }
+    }
+  }
+  if (jobs.length === 0) {
+    console.log('⚠️ 没有可以重新生成的周报')
+    return
+  }
 
-  try {
-    // 读取所有现有的周报文件
-    const docsPath = path.join(__dirname, '..', 'docs')
-    const files = await fs.readdir(docsPath)
-    const weeklyFiles = files.filter(file => file.match(/^\d{2}\.md$/))
-
-    // 构建周报列表数据
-    const weeklyItems = []
-    for (const file of weeklyFiles) {
-      const weekNum = parseInt(file.replace('.md', ''))
-      const { start, end } = getWeekPeriod(weekNum)
-
-      // 按结束日期确定归属月份
-      const endMonth = `${end.getFullYear()}年${end.getMonth() + 1}月`
-
-      const dateRange = formatDateRange(start, end)
-
-      weeklyItems.push({
-        weekNumber: weekNum,
-        title: `第${weekNum}期：${dateRange}`,
-        link: `/docs/${weekNum.toString().padStart(2, '0')}`,
-        month: endMonth,
-        endDate: end
-      })
+  await confirmOverwrite(jobs.map(({ weekNumber, lang }) => path.join(getDocsDir(lang), getIssueFileName(weekNumber))), force)
+  for (const { weekNumber, lang } of jobs) {
+    await generateIssue(weekNumber, { lang, fromSnapshot: true, noAI, rebuildIndex: false })
+  }
+  await rebuildIndexes()
+  console.log(`✅ 已重新生成 ${jobs.length} 期周报`)
+}
+
+/**
+ * 聊天通知中的本期摘要：合计数字、版本发布、最重要的几个 PR 和周报页面的链接
+ * 重要 PR 按 CONFIG.significance 的规则在所有仓库中统一排序，子目录条目不重复计入
+ */
+function buildNotifyDigest(weeklyData, weekNumber, period, lang) {
+  const t = getMessages(lang)
+  const { weights, caps, labelWeights } = CONFIG.significance
+  const repoData = excludeSubProjects(weeklyData, data => data.repo)
+
+  const topPrs = repoData
+    .flatMap(data => rankPullRequests(data.prs.prs, { weights, caps, labelWeights, releaseReferences: getReleaseReferences(data.releases) })
+      .map(({ pr, score }) => ({ pr, score, data })))
+    .sort((a, b) => b.score.total - a.score.total)
+    .slice(0, CONFIG.notify.topPrCount)
+
+  return {
+    lang,
+    title: t.title(weekNumber, formatDateRange(period.start, period.end, lang, period.timeZone || CONFIG.period.timeZone)),
+    url: getIssueUrl(weekNumber, lang),
+    totals: getTotals(weeklyData),
+    releases: repoData.flatMap(data => groupReleases(data.releases).map(group => ({
+      tagName: group.tagName,
+      url: group.url,
+      repo: getRepoDisplayName(data, lang)
+    }))),
+    topPrs: topPrs.map(({ pr, data }) => ({ number: pr.number, title: pr.title, url: pr.url, repo: getRepoDisplayName(data, lang) }))
+  }
+}
+
+// 周报正文中 PR 列表的一行：- [#123](url) 标题 - @作者
+const PR_LIST_ITEM = /^- \[#(\d+)\]\((\S+)\) (.+) - @\S+\s*$/gm
+
+/**
+ * 没有数据文件的旧周报（第1～10期）按 front matter 和正文生成摘要：
+ * tags 中除领域以外的都是本周发布的版本，重要 PR 取正文「重要PR」列表的前几个（按周报中的顺序，不重新评分）
+ *
+ * @param {object} issue readIssues 读取的一期（week、period、totals、tags）
+ * @param {string} markdown 周报 Markdown
+ */
+function buildFrontMatterDigest(issue, markdown, lang) {
+  const t = getMessages(lang)
+  // 旧周报只跟踪了一个仓库，版本链接指向第一个整体条目
+  const repo = excludeSubProjects(CONFIG.repos)[0]
+  const areaNames = new Set(CONFIG.categories.areas.map(area => localize(area.name, lang)))
+
+  return {
+    lang,
+    title: t.title(issue.week, formatDateRange(issue.period.start, issue.period.end, lang, issue.period.timeZone || CONFIG.period.timeZone)),
+    url: getIssueUrl(issue.week, lang),
+    totals: issue.totals,
+    releases: issue.tags.filter(tag => !areaNames.has(tag)).map(tagName => ({
+      tagName,
+      url: `https://github.com/${repo.owner}/${repo.name}/releases/tag/${encodeURIComponent(tagName)}`,
+      repo: getRepoDisplayName({ repo }, lang)
+    })),
+    topPrs: [...markdown.matchAll(PR_LIST_ITEM)]
+      .slice(0, CONFIG.notify.topPrCount)
+      .map(([, number, url, title]) => ({ number: Number(number), title, url, repo: getRepoDisplayName({ repo }, lang) }))
+  }
+}
+
+/**
+ * 把一期的摘要发送到所有配置了地址的聊天 Webhook
+ * 周报已经写入，某个目标发送失败时只打印错误并以非 0 状态退出，不影响其他目标
+ */
+async function notifyIssue(weekNumber, { lang, digest, dryRun = false }) {
+  const targets = listConfiguredTargets(CONFIG.notify.targets)
+  if (targets.length === 0) {
+    console.log('⚠️ 没有配置通知目标（SLACK_WEBHOOK_URL、DISCORD_WEBHOOK_URL、FEISHU_WEBHOOK_URL 或 TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID），跳过通知')
+    return
+  }
+
+  startStep(`第${weekNumber}期（${lang}）发送通知`)
+  console.log(`📣 ${dryRun ? '预览' : '发送'}第${weekNumber}期通知（${lang}）: ${targets.map(target => target.name).join(', ')}`)
+  const results = await sendNotifications(digest, targets, { dryRun, timeout: CONFIG.notify.timeout })
+  if (dryRun) return
+
+  results.forEach(({ target, ok, error }) => {
+    if (ok) {
+      const config = targets.find(item => item.name === target)
+      console.log(`✅ 已通知 ${target}（${maskUrl(config.url || config.apiBase)}）`)
+    } else {
+      console.error(`❌ 通知 ${target} 失败: ${error}`)
     }
+  })
+  if (results.some(result => !result.ok)) {
+    process.exitCode = 1
+  }
+}
 
-    // 按月份分组并排序
-    const groupedByMonth = {}
-    weeklyItems.forEach(item => {
-      if (!groupedByMonth[item.month]) {
-        groupedByMonth[item.month] = []
-      }
-      groupedByMonth[item.month].push(item)
-    })
+/**
+ * notify 命令：用数据文件 docs/data/NN.json 中的数据重新发送已生成的一期的通知，省略期数时为该语言的最新一期
+ * 没有数据文件的旧周报改用周报的 front matter 和正文（见 buildFrontMatterDigest）
+ */
+async function notifyExistingIssue(weekNumber, { lang, dryRun }) {
+  const { issues } = await getWeeklyIndex(lang)
+  if (!weekNumber) {
+    weekNumber = issues[0]?.week
+    if (!weekNumber) {
+      throw new Error(`还没有 ${lang} 版本的周报`)
+    }
+  }
 
-    // 每个月内按期数倒序排列
-    Object.keys(groupedByMonth).forEach(month => {
-      groupedByMonth[month].sort((a, b) => b.weekNumber - a.weekNumber)
-    })
+  let digest
+  const data = await readWeeklyDataFile(CONFIG.dataDir, weekNumber)
+  if (data) {
+    if (!data.pages?.[lang]) {
+      throw new Error(`第${weekNumber}期还没有 ${lang} 版本的周报`)
+    }
+    digest = buildNotifyDigest(data.weeklyData, weekNumber, await getIssuePeriod(weekNumber), lang)
+  } else {
+    const issue = issues.find(item => item.week === weekNumber)
+    if (!issue?.totals) {
+      throw new Error(`第${weekNumber}期没有数据文件 docs/data/${getIssueFileName(weekNumber).replace(/\.md$/, '.json')}，也没有带 front matter 的 ${lang} 版本周报，请先生成周报`)
+    }
+    console.log(`⚠️ 第${weekNumber}期没有数据文件，按周报的 front matter 和正文发送（重要 PR 按周报中的顺序，不重新评分）`)
+    const markdown = await fs.readFile(path.join(getDocsDir(lang), getIssueFileName(weekNumber)), 'utf8')
+    digest = buildFrontMatterDigest(issue, markdown, lang)
+  }
 
-    // 月份按时间倒序排列
-    const sortedMonths = Object.keys(groupedByMonth).sort((a, b) => {
-      const dateA = new Date(a.replace('年', '-').replace('月', '-01'))
-      const dateB = new Date(b.replace('年', '-').replace('月', '-01'))
-      return dateB - dateA
-    })
+  await notifyIssue(weekNumber, { lang, digest, dryRun })
+}
 
-    // 构建侧边栏配置
-    const sidebarConfig = sortedMonths.map(month => ({
-      text: month,
-      items: groupedByMonth[month].map(item => ({
-        text: item.title,
-        link: item.link
-      }))
+/**
+ * 站点上一期周报页面的绝对地址
+ */
+function getIssueUrl(weekNumber, lang = DEFAULT_LANG) {
+  return toAbsoluteUrl(`${getLocalePrefix(lang)}/docs/${getIssueFileName(weekNumber).replace(/\.md$/, '')}`)
+}
+
+/**
+ * 邮件版的一期：从周报 Markdown 读取，统计表取自「本周活动概览」，其余各部分（含 AI 分析）可以展开，「本期总结」默认展开
+ */
+function getEmailIssueFromMarkdown(markdown, weekNumber, lang) {
+  const t = getMessages(lang)
+  const heading = (value) => value.replace(/^#+\s*/, '')
+  const { data, title, sections } = parseIssueMarkdown(markdown)
+  const overview = sections.find(section => section.heading === heading(t.overviewHeading))
+
+  const rows = overview
+    ? parseMarkdownTable(overview.body).map(([repo, commits, prs, issues, releases]) => ({ repo, commits, prs, issues, releases }))
+    : []
+  // 没有 front matter 的旧周报按表格合计（「—」不计入）
+  const sum = (key) => rows.reduce((total, row) => total + (Number(row[key]) || 0), 0)
+
+  return {
+    lang,
+    week: weekNumber,
+    title: data?.title || title,
+    summary: data?.summary || null,
+    url: getIssueUrl(weekNumber, lang),
+    stats: {
+      rows,
+      totals: data?.totals || { commits: sum('commits'), prs: sum('prs'), issues: sum('issues'), releases: sum('releases') }
+    },
+    sections: sections
+      .filter(section => section !== overview)
+      .map(section => ({ title: section.heading, markdown: section.body, open: section.heading === heading(t.summaryHeading) }))
+  }
+}
+
+/**
+ * 邮件版的一期：从数据文件 docs/data/NN.json 读取，统计表取自 weeklyData，各部分为该语言的 AI 分析
+ */
+function getEmailIssueFromData(data, weekNumber, lang) {
+  const t = getMessages(lang)
+  const label = (value) => value.replace(/\*\*/g, '')
+  const sectionLabels = { releases: label(t.aiAnalysis), prs: label(t.prAnalysis), issues: label(t.issueAnalysis) }
+  const repoNames = new Map(data.weeklyData.map(repoData => [
+    [repoData.repo.owner, repoData.repo.name, repoData.repo.path].filter(Boolean).join('/'),
+    getRepoDisplayName(repoData, lang)
+  ]))
+
+  const sections = (data.ai?.sections || [])
+    .filter(section => section.lang === lang && section.text)
+    .map(section => ({
+      title: [sectionLabels[section.analysisType] || section.analysisType, repoNames.get(section.repo) || section.repo, section.id].filter(Boolean).join(' · '),
+      markdown: section.text,
+      open: false
     }))
+  const period = {
+    start: new Date(data.period.start),
+    end: new Date(data.period.end),
+    timeZone: data.period.timeZone || CONFIG.period.timeZone
+  }
+  const prAnalysis = data.ai?.sections?.find(section => section.lang === lang && section.analysisType === 'prs')
+
+  return {
+    lang,
+    week: weekNumber,
+    title: t.title(weekNumber, formatDateRange(period.start, period.end, lang, period.timeZone)),
+    summary: prAnalysis?.text ? getPlainExcerpt(prAnalysis.text) : null,
+    url: getIssueUrl(weekNumber, lang),
+    stats: { rows: getOverviewRows(data.weeklyData, lang), totals: data.totals || getTotals(data.weeklyData) },
+    sections
+  }
+}
+
+/**
+ * render-email 命令：把已生成的一期渲染成邮件，写入 HTML 和纯文本文件，--send 时通过 SMTP 发送
+ * 默认从周报 Markdown 读取；--source data 或该语言的 Markdown 不存在时使用数据文件
+ */
+async function renderEmailIssue(weekNumber, { lang, source, outDir = CONFIG.email.outDir, send = false, dryRun = false }) {
+  if (source && !['markdown', 'data'].includes(source)) {
+    throw new Error(`不支持的内容来源: ${source}（可选: markdown, data）`)
+  }
+  if (!weekNumber) {
+    weekNumber = (await getWeeklyIndex(lang)).issues[0]?.week
+    if (!weekNumber) {
+      throw new Error(`还没有 ${lang} 版本的周报`)
+    }
+  }
 
-    // 读取配置文件
-    const configContent = await fs.readFile(configPath, 'utf8')
+  const docPath = path.join(getDocsDir(lang), getIssueFileName(weekNumber))
+  let markdown = null
+  if (source !== 'data') {
+    try {
+      markdown = await fs.readFile(docPath, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT' || source === 'markdown') throw error
+    }
+  }
 
-    // 手动构建正确的JavaScript对象格式的侧边栏字符串
-    let sidebarStr = '[\n'
+  let issue
+  if (markdown !== null) {
+    issue = getEmailIssueFromMarkdown(markdown, weekNumber, lang)
+  } else {
+    const data = await readWeeklyDataFile(CONFIG.dataDir, weekNumber)
+    if (!data) {
+      throw new Error(`第${weekNumber}期没有 ${lang} 版本的周报，也没有数据文件，请先生成周报`)
+    }
+    issue = getEmailIssueFromData(data, weekNumber, lang)
+  }
+  console.log(`📧 已渲染第${weekNumber}期邮件（${lang}，来源: ${markdown !== null ? 'Markdown' : '数据文件'}，${issue.sections.length} 个部分）`)
+
+  const message = renderEmail(issue)
+  const { smtp, from, to } = CONFIG.email
+  if (dryRun) {
+    if (send) {
+      console.log(`📧 [dry-run] 将通过 ${smtp.host || '(未配置 SMTP_HOST)'}:${smtp.port} 发送给 ${to.length} 位收件人: ${message.subject}`)
+    }
+    process.stdout.write(message.html)
+    return
+  }
 
-    sortedMonths.forEach((month, monthIndex) => {
-      sidebarStr += '      {\n'
-      sidebarStr += `        text: '${month}',\n`
-      sidebarStr += '        items: [\n'
+  startStep('写入邮件文件')
+  const baseName = `${String(weekNumber).padStart(2, '0')}${lang === DEFAULT_LANG ? '' : `.${lang}`}`
+  await fs.mkdir(outDir, { recursive: true })
+  for (const [ext, text] of [['html', message.html], ['txt', message.text]]) {
+    await fs.writeFile(path.join(outDir, `${baseName}.${ext}`), text, 'utf8')
+    recordWritten(path.join(outDir, `${baseName}.${ext}`))
+  }
+  console.log(`✅ 已写入 ${path.relative(process.cwd(), path.join(outDir, baseName))}.html / .txt`)
+
+  if (send) {
+    startStep('发送邮件')
+    const { accepted, rejected } = await sendEmail(message, { smtp, from, to })
+    console.log(`✅ 已通过 ${smtp.host}:${smtp.port} 发送邮件: ${accepted.length} 位收件人接收${rejected.length > 0 ? `，${rejected.length} 位被拒绝: ${rejected.join(', ')}` : ''}`)
+    if (rejected.length > 0) {
+      process.exitCode = 1
+    }
+  }
+}
 
-      groupedByMonth[month].forEach((item, itemIndex) => {
-        sidebarStr += '          {\n'
-        sidebarStr += `            text: '${item.title}',\n`
-        sidebarStr += `            link: '${item.link}'\n`
-        sidebarStr += '          }'
+/**
+ * 主函数
+ * 用法见 USAGE，例如:
+ *   node scripts/auto-weekly-generator.js 7
+ *   node scripts/auto-weekly-generator.js generate --latest --lang en
+ *   node scripts/auto-weekly-generator.js preview --no-ai
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      'from-snapshot': { type: 'boolean', default: false },
+      'prompts-dir': { type: 'string' },
+      config: { type: 'string' },
+      lang: { type: 'string', default: DEFAULT_LANG },
+      latest: { type: 'boolean', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'no-ai': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      notify: { type: 'boolean', default: false },
+      source: { type: 'string' },
+      out: { type: 'string' },
+      send: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    },
+    allowPositionals: true
+  })
 
-        // 如果不是最后一项，添加逗号
-        if (itemIndex < groupedByMonth[month].length - 1) {
-          sidebarStr += ','
-        }
-        sidebarStr += '\n'
-      })
+  if (options.help) {
+    console.log(USAGE)
+    return
+  }
 
-      sidebarStr += '        ]\n'
-      sidebarStr += '      }'
+  // 第一个参数不是命令时视为 generate 的期数，兼容 `node scripts/auto-weekly-generator.js 7`
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'generate'
+  const lang = options.lang
+  const dryRun = options['dry-run'] || command === 'preview'
+  const noAI = options['no-ai']
 
-      // 如果不是最后一个月份，添加逗号
-      if (monthIndex < sortedMonths.length - 1) {
-        sidebarStr += ','
-      }
-      sidebarStr += '\n'
+  if (!LANGS.includes(lang)) {
+    throw new Error(`不支持的语言: ${lang}（可选: ${LANGS.join(', ')}）`)
+  }
+  if (positionals.length > 1) {
+    throw new Error(`多余的参数: ${positionals.slice(1).join(' ')}`)
+  }
+  if (options['prompts-dir']) {
+    CONFIG.prompts.customDir = path.resolve(options['prompts-dir'])
+  }
+  // 预览时 stdout 只输出周报内容，进度日志改为输出到 stderr
+  if (dryRun) {
+    console.log = console.error
+  }
+
+  progress.task = { 'rebuild-index': '重建索引', 'regenerate-all': '批量重新生成', notify: '发送通知', 'render-email': '渲染邮件', preview: '周报预览' }[command] || '周报生成'
+
+  if (command === 'rebuild-index') {
+    await rebuildIndexes()
+    return
+  }
+
+  CONFIG.repos = await loadRepos(options.config || CONFIG.configFile)
+
+  if (command === 'regenerate-all') {
+    await regenerateAll({ noAI, force: options.force })
+    return
+  }
+
+  if (command === 'notify') {
+    await notifyExistingIssue(positionals[0] ? parseWeekNumber(positionals[0]) : null, { lang, dryRun })
+    return
+  }
+
+  if (command === 'render-email') {
+    await renderEmailIssue(positionals[0] ? parseWeekNumber(positionals[0]) : null, {
+      lang,
+      source: options.source,
+      outDir: options.out ? path.resolve(options.out) : undefined,
+      send: options.send,
+      dryRun
     })
+    return
+  }
 
-    sidebarStr += '    ]'
+  // 确定期数和统计周期
+  const period = getCustomPeriod(options.from, options.to)
+  const currentWeek = getWeekNumber(new Date())
+  let weekNumber
+  if (positionals[0]) {
+    if (options.latest) {
+      throw new Error('--latest 不能和期数同时使用')
+    }
+    weekNumber = parseWeekNumber(positionals[0])
+  } else if (options.latest) {
+    // 最近一期已经结束的周期
+    weekNumber = currentWeek - 1
+  } else if (period) {
+    weekNumber = getWeekNumber(period.start)
+  } else if (command === 'preview') {
+    weekNumber = currentWeek
+  } else {
+    throw new Error('请指定期数，或使用 --latest 生成最近一期已经结束的周期（--help 查看用法）')
+  }
+  if (weekNumber < 1) {
+    throw new Error(`第${weekNumber}期早于第1期（${formatDate(getWeekPeriod(1).start, DEFAULT_LANG, CONFIG.period.timeZone)}）`)
+  }
+  if (options['from-snapshot'] && period) {
+    throw new Error('--from-snapshot 使用快照中的统计周期，不能和 --from/--to 同时使用')
+  }
+  // 周报、快照和数据文件都按期数命名，与该期不一致的周期只能输出到终端，避免覆盖该期已有的文件
+  if (period && !dryRun && !isWeekPeriod(period, weekNumber)) {
+    const { start, end } = getWeekPeriod(weekNumber)
+    throw new Error(`--from/--to 指定的周期与第${weekNumber}期（${formatISODay(start, CONFIG.period.timeZone)} 至 ${formatISODay(end, CONFIG.period.timeZone)}）不一致，不能写入第${weekNumber}期的周报、快照和数据文件；请使用 --dry-run 输出到终端`)
+  }
+
+  // 预览本周时只统计到当前时间
+  const previewPeriod = command === 'preview' && !period && !positionals[0] && weekNumber === currentWeek
+    ? { ...getWeekPeriod(weekNumber), end: new Date() }
+    : null
 
-    // 替换侧边栏配置 - 使用更强的正则表达式匹配整个sidebar数组，包括所有嵌套内容
-    const sidebarRegex = /sidebar:\s*\[[\s\S]*?\],/
-    let updatedConfig = configContent.replace(sidebarRegex, `sidebar: ${sidebarStr},`)
+  if (!dryRun) {
+    await confirmOverwrite([path.join(getDocsDir(lang), getIssueFileName(weekNumber))], options.force)
+  }
 
-    // 更新导航栏中的"周报列表"链接到最新一期
-    const latestWeekNumber = Math.max(...weeklyItems.map(item => item.weekNumber))
-    const navRegex = /(text:\s*'周报列表',\s*link:\s*')[^']*(')/
-    updatedConfig = updatedConfig.replace(navRegex, `$1/docs/${latestWeekNumber.toString().padStart(2, '0')}$2`)
+  const content = await generateIssue(weekNumber, {
+    lang,
+    fromSnapshot: options['from-snapshot'],
+    period: period || previewPeriod,
+    dryRun,
+    noAI,
+    notify: options.notify
+  })
 
-    // 保存更新后的配置
-    await fs.writeFile(configPath, updatedConfig, 'utf8')
-    console.log(`✅ 已自动更新侧边栏配置`)
+  if (dryRun) {
+    process.stdout.write(content)
+  }
+}
 
-  } catch (error) {
-    console.log('⚠️ 无法自动更新侧边栏配置:', error.message)
+// 错误处理
+process.on('unhandledRejection', (error) => {
+  console.error('Unhandled promise rejection:', error)
+  process.exit(1)
+})
+
+// 如果直接运行此脚本
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    const step = progress.step ? `，出错步骤「${progress.step}」` : ''
+    if (progress.written.length === 0) {
+      console.error(`❌ ${progress.task}失败${step}，未写入任何文件: ${error.message}`)
+    } else {
+      console.error(`❌ ${progress.task}失败${step}: ${error.message}`)
+      console.error(`⚠️ 失败前已经写入: ${[...new Set(progress.written)].join(', ')}`)
+    }
+    process.exit(1)
+  })
+}
+
+/**
+ * 已生成的一期的统计周期：优先使用数据文件中记录的周期（可能是 --from/--to 指定的），否则按期数计算
+ */
+async function getIssuePeriod(weekNumber) {
+  const data = await readWeeklyDataFile(CONFIG.dataDir, weekNumber)
+  if (!data?.period) return getWeekPeriod(weekNumber)
+
+  return {
+    start: new Date(data.period.start),
+    end: new Date(data.period.end),
+    timeZone: data.period.timeZone || CONFIG.period.timeZone
   }
 }
 
 /**
- * 更新首页内容
+ * 指定语言已有周报的索引（见 lib/weekly-index.js），侧边栏、首页列表和归档页共用
  */
-async function updateIndexPage(weekNumber) {
-  const indexPath = path.join(__dirname, '..', 'index.md')
+async function getWeeklyIndex(lang = DEFAULT_LANG) {
+  return buildWeeklyIndex(getDocsDir(lang), {
+    lang,
+    linkPrefix: `${getLocalePrefix(lang)}/docs`,
+    timeZone: CONFIG.period.timeZone,
+    getPeriod: getIssuePeriod
+  })
+}
 
+/**
+ * 更新 .vitepress/weeklies.json 中该语言的侧边栏、「周报列表」导航链接和各期的上一期/下一期链接
+ * config.js 直接导入这个文件，生成器不再改写 config.js 本身；侧边栏按月份分组，最新一期在前
+ */
+async function updateVitePressConfig(weekNumber, lang = DEFAULT_LANG) {
+  startStep(`更新侧边栏（${lang}）`)
+  const weekliesPath = path.join(__dirname, '..', '.vitepress', 'weeklies.json')
+  const { groups, latest, pager } = await getWeeklyIndex(lang)
+
+  let weeklies = {}
   try {
-    // 读取所有现有的周报文件
-    const docsPath = path.join(__dirname, '..', 'docs')
-    const files = await fs.readdir(docsPath)
-    const weeklyFiles = files.filter(file => file.match(/^\d{2}\.md$/))
-
-    // 构建周报列表数据
-    const weeklyItems = []
-    for (const file of weeklyFiles) {
-      const weekNum = parseInt(file.replace('.md', ''))
-      const { start, end } = getWeekPeriod(weekNum)
-
-      // 按结束日期确定归属月份
-      const endMonth = `${end.getFullYear()}年${end.getMonth() + 1}月`
-
-      const dateRange = formatDateRange(start, end)
-
-      weeklyItems.push({
-        weekNumber: weekNum,
-        title: `第${weekNum}期：${dateRange}`,
-        link: `/docs/${weekNum.toString().padStart(2, '0')}`,
-        month: endMonth,
-        endDate: end
-      })
+    weeklies = JSON.parse(await fs.readFile(weekliesPath, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`无法读取 ${weekliesPath}: ${error.message}`, { cause: error })
     }
+  }
 
-    // 按月份分组并排序
-    const groupedByMonth = {}
-    weeklyItems.forEach(item => {
-      if (!groupedByMonth[item.month]) {
-        groupedByMonth[item.month] = []
-      }
-      groupedByMonth[item.month].push(item)
-    })
+  weeklies[lang] = {
+    latest,
+    sidebar: groups.map(({ month, items }) => ({
+      text: month,
+      items: items.map(item => ({ text: item.title, link: item.link }))
+    })),
+    pager
+  }
+  validateWeeklies(weeklies)
+
+  // 先写入临时文件再替换，避免写入中断时留下不完整的 JSON
+  const tempPath = `${weekliesPath}.tmp`
+  await fs.writeFile(tempPath, JSON.stringify(weeklies, null, 2) + '\n', 'utf8')
+  await fs.rename(tempPath, weekliesPath)
+  recordWritten(weekliesPath)
+  console.log(`✅ 已自动更新侧边栏配置（${lang}）`)
+}
 
-    // 每个月内按期数倒序排列
-    Object.keys(groupedByMonth).forEach(month => {
-      groupedByMonth[month].sort((a, b) => b.weekNumber - a.weekNumber)
-    })
+/**
+ * 校验 weeklies.json 的结构，不符合时报错而不是写入
+ */
+function validateWeeklies(weeklies) {
+  const isLink = (value) => typeof value === 'string' && value.startsWith('/')
+
+  const isPagerLink = (value) => value === false || (typeof value?.text === 'string' && isLink(value.link))
+
+  for (const [lang, { latest, sidebar, pager = {} }] of Object.entries(weeklies)) {
+    const valid = (latest === null || isLink(latest))
+      && Array.isArray(sidebar)
+      && sidebar.every(group => typeof group.text === 'string' && Array.isArray(group.items)
+        && group.items.every(item => typeof item.text === 'string' && isLink(item.link)))
+      && Object.values(pager).every(({ prev, next }) => isPagerLink(prev) && isPagerLink(next))
+    if (!valid) {
+      throw new Error(`生成的侧边栏数据（${lang}）格式错误，没有写入 weeklies.json`)
+    }
+  }
+}
 
-    // 月份按时间倒序排列
-    const sortedMonths = Object.keys(groupedByMonth).sort((a, b) => {
-      const dateA = new Date(a.replace('年', '-').replace('月', '-01'))
-      const dateB = new Date(b.replace('年', '-').replace('月', '-01'))
-      return dateB - dateA
-    })
+/**
+ * 更新首页内容（默认语言为 index.md，其他语言为 <lang>/index.md）
+ */
+async function updateIndexPage(weekNumber, lang = DEFAULT_LANG) {
+  const t = getMessages(lang)
+  const indexPath = path.join(__dirname, '..', ...(lang === DEFAULT_LANG ? [] : [lang]), 'index.md')
+  startStep(`更新首页（${lang}）`)
+
+  try {
+    const { groups } = await getWeeklyIndex(lang)
 
     // 构建首页周报列表内容
-    let weeklyListContent = '## 📚 周报列表\n\n'
+    let weeklyListContent = `${t.indexListHeading}\n\n`
 
-    sortedMonths.forEach(month => {
+    groups.forEach(({ month, items }) => {
       weeklyListContent += `### ${month}\n\n`
-      groupedByMonth[month].forEach(item => {
+      items.forEach(item => {
         weeklyListContent += `- [${item.title}](${item.link})\n`
       })
       weeklyListContent += '\n'
@@ -866,11 +2114,8 @@ async function updateIndexPage(weekNumber) {
     const indexContent = await fs.readFile(indexPath, 'utf8')
 
     // 删除从"## 📚 周报列表"到"## 🚀 项目特色"之间的所有内容，然后重新插入
-    const startMarker = '## 📚 周报列表'
-    const endMarker = '## 🚀 项目特色'
-
-    const startIndex = indexContent.indexOf(startMarker)
-    const endIndex = indexContent.indexOf(endMarker)
+    const startIndex = indexContent.indexOf(t.indexListHeading)
+    const endIndex = indexContent.indexOf(t.indexEndMarker)
 
     if (startIndex !== -1 && endIndex !== -1) {
       const beforeContent = indexContent.substring(0, startIndex)
@@ -879,38 +2124,59 @@ async function updateIndexPage(weekNumber) {
 
       // 保存更新后的首页
       await fs.writeFile(indexPath, updatedContent, 'utf8')
-      console.log(`✅ 已自动更新首页周报列表`)
+      recordWritten(indexPath)
+      console.log(`✅ 已自动更新首页周报列表（${lang}）`)
     } else {
       console.log('⚠️ 无法找到首页更新标记，跳过首页更新')
     }
 
-    return // 提前返回，避免执行下面的旧代码
-
-    // 下面的代码不会执行，但保留以防需要回滚
-    const listRegex = /## 📚 周报列表[\s\S]*?(?=## |$)/
-    const updatedContentOld = indexContent.replace(listRegex, weeklyListContent)
-
-    // 保存更新后的首页
-    await fs.writeFile(indexPath, updatedContentOld, 'utf8')
-    console.log(`✅ 已自动更新首页周报列表`)
-
   } catch (error) {
     console.log('⚠️ 无法自动更新首页:', error.message)
   }
 }
 
 /**
- * 格式化日期范围
+ * 生成归档页（默认语言为 archive.md，其他语言为 <lang>/archive.md）：按月份列出所有周报的统计周期、合计数字、标签和摘要
  */
-function formatDateRange(startDate, endDate) {
-  const formatDate = (date) => {
-    const year = date.getFullYear()
-    const month = date.getMonth() + 1
-    const day = date.getDate()
-    return `${year}年${month}月${day}日`
+async function updateArchivePage(weekNumber, lang = DEFAULT_LANG) {
+  const t = getMessages(lang)
+  const archivePath = path.join(__dirname, '..', ...(lang === DEFAULT_LANG ? [] : [lang]), 'archive.md')
+  startStep(`更新归档页（${lang}）`)
+  const { issues, groups } = await getWeeklyIndex(lang)
+  const issuesByLink = new Map(issues.map(issue => [issue.link, issue]))
+  const cell = (text) => text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')
+
+  let content = `${stringifyFrontMatter({ title: t.archiveTitle })}\n# 📚 ${t.archiveTitle}\n\n${t.archiveIntro}\n`
+  if (issues.length === 0) {
+    content += `\n${t.archiveEmpty}\n`
   }
 
-  return `${formatDate(startDate)}-${formatDate(endDate)}`
+  groups.forEach(({ month, items }) => {
+    content += `\n## ${month}\n\n${t.archiveTableHeader}\n`
+    items.forEach(item => {
+      const issue = issuesByLink.get(item.link)
+      const zone = issue.period.timeZone || CONFIG.period.timeZone
+      const totals = issue.totals ? `${issue.totals.commits} / ${issue.totals.prs} / ${issue.totals.issues}` : '—'
+      const tags = issue.tags.length > 0 ? issue.tags.map(tag => `\`${cell(tag)}\``).join(' ') : '—'
+      content += `| [${t.archiveIssue(issue.week)}](${issue.link}) | ${formatDateRange(issue.period.start, issue.period.end, lang, zone)} | ${totals} | ${tags} | ${issue.summary ? cell(issue.summary) : '—'} |\n`
+    })
+  })
+
+  await fs.writeFile(archivePath, content, 'utf8')
+  recordWritten(archivePath)
+  console.log(`✅ 已自动更新归档页（${lang}）`)
+}
+
+/**
+ * 按已有周报生成该语言的订阅源并校验（网站构建时 .vitepress/config.js 用同样的方法写出订阅源），
+ * 新增的一期缺少标题、摘要或链接不正确时报错
+ */
+async function checkFeed(weekNumber, lang = DEFAULT_LANG) {
+  startStep(`校验订阅源（${lang}）`)
+  const { issues } = await getWeeklyIndex(lang)
+  const feed = createFeed(issues, { lang })
+  validateFeed(feed, { weekNumber })
+  console.log(`✅ 订阅源校验通过（${lang}，共 ${feed.items.length} 期）`)
 }
 
-export { getWeeklyData, generateWeeklyContent, getWeekPeriod, updateVitePressConfig, updateIndexPage }
+export { getWeeklyData, generateWeeklyContent, getWeekNumber, getWeekPeriod, updateVitePressConfig, updateIndexPage, updateArchivePage }
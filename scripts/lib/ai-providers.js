@@ -0,0 +1,300 @@
+/**
+ * AI 服务提供商
+ * 每个提供商实现同一组接口：
+ *   isAvailable(config)              是否已正确配置（API Key 等）
+ *   buildRequest(config, input)      构建 { url, init } 形式的 fetch 参数
+ *   parseResponse(result)            从响应 JSON 中取出分析文本
+ *   getError(status, result)         从失败响应中取出错误信息
+ * CONFIG.ai.providers 中的每一项通过 type（默认与 name 相同）对应到这里的实现
+ */
+
+const DEFAULT_MAX_TOKENS = 500
+
+/**
+ * AI 服务请求失败
+ * retryable 表示可以对同一提供商重试（超时、网络错误、429、5xx）
+ */
+export class AIProviderError extends Error {
+  constructor(message, { provider, status = null, retryable = false, cause } = {}) {
+    super(message, { cause })
+    this.name = 'AIProviderError'
+    this.provider = provider
+    this.status = status
+    this.retryable = retryable
+  }
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 对话类接口的用户消息：提示词 + 待分析数据
+ */
+function buildUserMessage(prompt, data) {
+  return `${prompt}\n\ndata_content:\n${JSON.stringify(data)}`
+}
+
+const hasKey = (config) => Boolean(config.apiKey && config.apiKey.length > 0)
+
+const dify = {
+  isAvailable: hasKey,
+
+  buildRequest(config, { prompt, data, analysisType }) {
+    // 数据应当已经按 maxInputChars 分批，这里不再截断，避免把 JSON 截成半截
+    const dataContent = JSON.stringify(data)
+    if (config.maxInputChars && dataContent.length > config.maxInputChars) {
+      throw new AIProviderError(`dify data_content 长度 ${dataContent.length} 超过限制 ${config.maxInputChars}`, { provider: config.name })
+    }
+
+    return {
+      url: config.baseUrl,
+      init: {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          inputs: {
+            analysis_type: analysisType,
+            data_content: dataContent,
+            prompt
+          },
+          response_mode: 'blocking', // 使用 blocking mode
+          user: config.user
+        })
+      }
+    }
+  },
+
+  parseResponse(result) {
+    return result.data?.outputs?.result || result.answer || null
+  },
+
+  getError(status, result) {
+    return result?.message || result?.data?.error || null
+  }
+}
+
+const qwen = {
+  isAvailable: hasKey,
+
+  buildRequest(config, { prompt, systemPrompt, data }) {
+    return {
+      url: config.baseUrl,
+      init: {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: config.model,
+          input: {
+            messages: [
+              { role: 'system', content: systemPrompt },
+              { role: 'user', content: buildUserMessage(prompt, data) }
+            ]
+          },
+          parameters: {
+            max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+            temperature: 0.7
+          }
+        })
+      }
+    }
+  },
+
+  parseResponse(result) {
+    return result.output?.choices?.[0]?.message?.content?.trim() || result.output?.text?.trim() || null
+  },
+
+  getError(status, result) {
+    return result?.code ? `${result.code}: ${result.message}` : null
+  }
+}
+
+const openai = {
+  // 官方接口要求 sk- 开头的 Key；自定义的兼容接口不限制 Key 格式
+  isAvailable(config) {
+    if (!hasKey(config) || !config.baseUrl || !config.model) return false
+    return config.customEndpoint || config.apiKey.startsWith('sk-')
+  },
+
+  buildRequest(config, { prompt, systemPrompt, data }) {
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      init: {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${config.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: config.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: buildUserMessage(prompt, data) }
+          ],
+          max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+          temperature: 0.7
+        })
+      }
+    }
+  },
+
+  parseResponse(result) {
+    return result.choices?.[0]?.message?.content?.trim() || null
+  },
+
+  getError(status, result) {
+    return result?.error?.message || null
+  }
+}
+
+const claude = {
+  isAvailable(config) {
+    return hasKey(config) && config.apiKey.startsWith('sk-ant-')
+  },
+
+  buildRequest(config, { prompt, systemPrompt, data }) {
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/messages`,
+      init: {
+        method: 'POST',
+        headers: {
+          'x-api-key': config.apiKey,
+          'anthropic-version': config.apiVersion || '2023-06-01',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+          system: systemPrompt,
+          messages: [
+            { role: 'user', content: buildUserMessage(prompt, data) }
+          ],
+          temperature: 0.7
+        })
+      }
+    }
+  },
+
+  parseResponse(result) {
+    const text = (result.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim()
+    return text || null
+  },
+
+  getError(status, result) {
+    return result?.type === 'error' ? `${result.error?.type}: ${result.error?.message}` : null
+  }
+}
+
+const PROVIDERS = { dify, qwen, openai, claude }
+
+/**
+ * 根据配置项找到对应的提供商实现
+ */
+export function getProvider(config) {
+  return PROVIDERS[config.type || config.name] || null
+}
+
+/**
+ * 按优先级列出所有已配置好的提供商
+ */
+export function listAvailableProviders(providerConfigs) {
+  return providerConfigs.filter(config => {
+    const provider = getProvider(config)
+    return provider ? provider.isAvailable(config) : false
+  })
+}
+
+/**
+ * 调用提供商进行分析，返回分析文本；请求失败或响应异常时抛出 AIProviderError
+ *
+ * @param {object} config CONFIG.ai.providers 中的一项
+ * @param {{ prompt: string, systemPrompt: string, data: any, analysisType: string }} input
+ * @param {{ timeout?: number }} [options] timeout 为单次请求超时（毫秒）
+ */
+export async function callProvider(config, input, { timeout } = {}) {
+  const provider = getProvider(config)
+  if (!provider) {
+    throw new AIProviderError(`未知的 AI 服务类型: ${config.type || config.name}`, { provider: config.name })
+  }
+
+  const { url, init } = provider.buildRequest(config, input)
+
+  let response
+  try {
+    response = await fetch(url, timeout ? { ...init, signal: AbortSignal.timeout(timeout) } : init)
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `超时（${timeout / 1000} 秒）` : error.message
+    throw new AIProviderError(`${config.name} 请求失败: ${message}`, { provider: config.name, retryable: true, cause: error })
+  }
+
+  let result = null
+  try {
+    result = await response.json()
+  } catch {
+    // 非 JSON 响应，按状态码判断
+  }
+
+  if (!response.ok) {
+    const detail = provider.getError(response.status, result) || response.statusText
+    throw new AIProviderError(`${config.name} 返回错误 ${response.status}: ${detail}`, {
+      provider: config.name,
+      status: response.status,
+      retryable: isRetryableStatus(response.status)
+    })
+  }
+
+  const errorMessage = result ? provider.getError(response.status, result) : '响应不是有效的 JSON'
+  if (errorMessage) {
+    throw new AIProviderError(`${config.name} 返回错误: ${errorMessage}`, { provider: config.name, status: response.status })
+  }
+
+  return provider.parseResponse(result)
+}
+
+/**
+ * 按优先级依次尝试各提供商：可重试的错误先对同一提供商退避重试，仍然失败再换下一个
+ * 返回 { text, provider, attempts }，所有提供商都失败时 text 和 provider 为 null；
+ * attempts 记录每次调用的提供商、耗时和错误，用于运行结束后的诊断汇总
+ *
+ * @param {object[]} providerConfigs 已按优先级排序的可用提供商
+ * @param {{ prompt: string, systemPrompt: string, data: any, analysisType: string }} input
+ * @param {{ timeout?: number, maxRetries?: number, retryBaseDelay?: number }} [options]
+ */
+export async function analyzeWithFallback(providerConfigs, input, options = {}) {
+  const { timeout, maxRetries = 2, retryBaseDelay = 2000 } = options
+  const attempts = []
+
+  for (const config of providerConfigs) {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const startedAt = Date.now()
+      try {
+        const text = await callProvider(config, input, { timeout })
+        attempts.push({ provider: config.name, ok: true, durationMs: Date.now() - startedAt })
+        return { text, provider: config.name, attempts }
+      } catch (error) {
+        attempts.push({ provider: config.name, ok: false, durationMs: Date.now() - startedAt, error: error.message })
+
+        if (!error.retryable || attempt === maxRetries) {
+          console.warn(`⚠️ ${error.message}，改用下一个 AI 服务`)
+          break
+        }
+
+        const delay = retryBaseDelay * 2 ** attempt
+        console.warn(`⚠️ ${error.message}，${delay / 1000} 秒后重试 (${attempt + 1}/${maxRetries})`)
+        await sleep(delay)
+      }
+    }
+  }
+
+  return { text: null, provider: null, attempts }
+}
@@ -0,0 +1,136 @@
+/**
+ * PR 分类
+ * 类型（新功能、修复、文档……）每个 PR 只属于一个，依次按标签、标题前缀（如 feat(telegram):）、
+ * 改动文件判断；领域（Telegram、Slack、Gateway……）一个 PR 可以属于多个，按标签、标题 scope 和改动文件判断。
+ * 规则在 CONFIG.categories 中配置：
+ *
+ *   { id: 'docs', labels: ['documentation'], prefixes: ['docs'], paths: ['docs/**', '**\/*.md'] }
+ *   { id: 'telegram', labels: ['telegram'], scopes: ['telegram'], paths: ['**\/telegram/**'] }
+ *
+ * 类型规则的 paths 要求 PR 的全部改动文件都匹配；领域规则的 paths 只要有一个文件匹配即可
+ */
+
+const CONVENTIONAL_TITLE = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*/
+
+/**
+ * 解析 Conventional Commits 风格的标题，如 feat(telegram,slack)!: xxx
+ */
+export function parseConventionalTitle(title) {
+  const match = title.match(CONVENTIONAL_TITLE)
+  if (!match) return null
+
+  return {
+    type: match[1].toLowerCase(),
+    scopes: (match[2] || '').split(/[,/\s]+/).map(scope => scope.trim().toLowerCase()).filter(Boolean),
+    breaking: Boolean(match[3])
+  }
+}
+
+/**
+ * 把 glob（支持 **、*、?）转换为正则
+ */
+function globToRegExp(pattern) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      // **/ 匹配零到多层目录，末尾的 ** 匹配任意内容
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+const globCache = new Map()
+
+/**
+ * 判断文件路径是否匹配 glob
+ */
+export function matchGlob(pattern, filePath) {
+  if (!globCache.has(pattern)) {
+    globCache.set(pattern, globToRegExp(pattern))
+  }
+  return globCache.get(pattern).test(filePath)
+}
+
+const lower = (values = []) => values.map(value => value.toLowerCase())
+
+function matchesLabels(rule, labels) {
+  const ruleLabels = lower(rule.labels)
+  return labels.some(label => ruleLabels.includes(label))
+}
+
+function matchesAnyPath(rule, files) {
+  return Boolean(rule.paths?.length) && files.some(file => rule.paths.some(pattern => matchGlob(pattern, file)))
+}
+
+function matchesAllPaths(rule, files) {
+  return Boolean(rule.paths?.length) && files.length > 0 && files.every(file => rule.paths.some(pattern => matchGlob(pattern, file)))
+}
+
+/**
+ * PR 的类型：先看标签，其次看标题前缀，最后看改动文件；都不匹配时为 fallback
+ */
+export function classifyType(pr, typeRules, fallback = 'other') {
+  const labels = lower(pr.labels)
+  const title = parseConventionalTitle(pr.title)
+  const files = pr.files || []
+
+  const rule = typeRules.find(rule => matchesLabels(rule, labels))
+    || (title && typeRules.find(rule => lower(rule.prefixes).includes(title.type)))
+    || typeRules.find(rule => matchesAllPaths(rule, files))
+
+  return rule ? rule.id : fallback
+}
+
+/**
+ * PR 涉及的领域：标签、标题 scope 或任一改动文件匹配即属于该领域
+ */
+export function classifyAreas(pr, areaRules) {
+  const labels = lower(pr.labels)
+  const scopes = parseConventionalTitle(pr.title)?.scopes || []
+  const files = pr.files || []
+
+  return areaRules
+    .filter(rule => matchesLabels(rule, labels)
+      || scopes.some(scope => lower(rule.scopes).includes(scope))
+      || matchesAnyPath(rule, files))
+    .map(rule => rule.id)
+}
+
+/**
+ * 对 PR 列表分类，返回按配置顺序排列的类型分组和领域分组（省略没有 PR 的分组）
+ * 组内已合并的 PR 在前，其余按创建时间倒序
+ *
+ * @param {object[]} prs
+ * @param {{ types: object[], areas: object[], fallbackType?: string }} rules
+ * @returns {{ types: { id: string, prs: object[] }[], areas: { id: string, prs: object[] }[] }}
+ */
+export function categorizePullRequests(prs, { types = [], areas = [], fallbackType = 'other' }) {
+  const byType = new Map([...types.map(rule => [rule.id, []]), [fallbackType, []]])
+  const byArea = new Map(areas.map(rule => [rule.id, []]))
+
+  for (const pr of prs) {
+    byType.get(classifyType(pr, types, fallbackType)).push(pr)
+    classifyAreas(pr, areas).forEach(id => byArea.get(id).push(pr))
+  }
+
+  const order = (a, b) => Boolean(b.mergedAt) - Boolean(a.mergedAt) || new Date(b.createdAt) - new Date(a.createdAt)
+  const toGroups = (map) => [...map.entries()]
+    .filter(([, groupPrs]) => groupPrs.length > 0)
+    .map(([id, groupPrs]) => ({ id, prs: groupPrs.sort(order) }))
+
+  return { types: toGroups(byType), areas: toGroups(byArea) }
+}
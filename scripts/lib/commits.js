@@ -0,0 +1,53 @@
+/**
+ * 提交数统计，REST 和 GraphQL 收集器使用同一个口径，切换收集器时数字不变：
+ *   整个仓库    Search API 按 author-date 统计（Search 失败时改为分页获取默认分支的提交）
+ *   指定 path   /commits?path= 分页获取默认分支上改动了该目录的提交
+ */
+
+import { GitHubRequestError } from './github-client.js'
+import { toSearchTimestamp } from './search-windows.js'
+
+/**
+ * 获取指定时间范围内改动了某个目录的提交（默认分支）
+ */
+export async function listPathCommits(github, owner, repo, since, until, path) {
+  const commits = await github.paginate(`/repos/${owner}/${repo}/commits`, {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    path
+  })
+  console.log(`📊 ${owner}/${repo}/${path}: 找到 ${commits.length} 次提交`)
+  return commits
+}
+
+/**
+ * 获取指定时间范围内的提交数量（使用 Search API 获取准确计数）
+ * Search API 不支持按目录过滤，指定 path 时分页获取改动了该目录的提交
+ */
+export async function getCommitCount(github, owner, repo, since, until, path = null) {
+  if (path) {
+    return (await listPathCommits(github, owner, repo, since, until, path)).length
+  }
+
+  const query = `repo:${owner}/${repo} author-date:${toSearchTimestamp(since)}..${toSearchTimestamp(until)}`
+
+  try {
+    const data = await github.request('/search/commits', {
+      q: query,
+      per_page: 1
+    })
+
+    console.log(`📊 ${owner}/${repo}: 找到 ${data.total_count} 次提交`)
+    return data.total_count
+  } catch (error) {
+    if (!(error instanceof GitHubRequestError)) throw error
+
+    console.warn(`⚠️ Search API 请求失败，回退到普通 API: ${error.message}`)
+    // 回退到普通 API（分页获取全部提交）
+    const commits = await github.paginate(`/repos/${owner}/${repo}/commits`, {
+      since: since.toISOString(),
+      until: until.toISOString()
+    })
+    return commits.length
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * 贡献者分析
+ * 按合并 PR 数和提交数排列贡献者，找出首次贡献者，把机器人账号与真人分开，并统计代码评审
+ *
+ * 提交作者通过 REST 的提交列表获取；PR 上没有 Review 信息时（REST 收集器）按需查询
+ * /pulls/{number}/reviews；首次贡献者对仓库成员以外的作者逐个查询此前是否有合并过的 PR
+ * （author_association 是获取数据时的状态，本周首个 PR 合并后作者已经是 CONTRIBUTOR，不能据此判断）
+ */
+
+import { toSearchTimestamp } from './search-windows.js'
+
+// 仓库成员不作为新贡献者，不需要再查询
+const MEMBER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR']
+
+/**
+ * 判断是否为机器人账号：GitHub 标记为 Bot、login 以 [bot] 结尾，或在配置的名单中
+ * （GraphQL 返回的机器人 login 不带 [bot] 后缀，如 dependabot）
+ */
+export function isBot(login, { type = null, botLogins = [] } = {}) {
+  if (!login) return false
+  if (type === 'Bot' || /\[bot\]$/i.test(login)) return true
+
+  const name = login.toLowerCase().replace(/\[bot\]$/, '')
+  return botLogins.some(bot => bot.toLowerCase() === name)
+}
+
+function addCount(map, key, field, amount = 1, extra = {}) {
+  if (!map.has(key)) {
+    map.set(key, { ...extra, mergedPrs: 0, prs: 0, commits: 0 })
+  }
+  map.get(key)[field] += amount
+}
+
+/**
+ * 统计本周提交的作者，没有关联 GitHub 账号的提交按 Git 作者名统计；指定 path 时只统计改动了该目录的提交
+ */
+async function getCommitAuthors(github, owner, repo, since, until, path = null) {
+  const commits = await github.paginate(`/repos/${owner}/${repo}/commits`, {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    path: path || undefined
+  })
+
+  return commits.map(commit => ({
+    login: commit.author?.login || null,
+    name: commit.commit?.author?.name || null,
+    type: commit.author?.type || null
+  }))
+}
+
+/**
+ * 获取 PR 的 Review 数和评审人（REST 收集器的 PR 上没有 Review 信息时使用），结构与 GraphQL 收集器一致
+ */
+async function getReviews(github, owner, repo, number) {
+  const reviews = await github.paginate(`/repos/${owner}/${repo}/pulls/${number}/reviews`)
+  return {
+    total: reviews.length,
+    reviewers: [...new Set(reviews.map(review => review.user?.login).filter(Boolean))]
+  }
+}
+
+/**
+ * 作者在本周之前是否有合并过的 PR
+ */
+async function hasEarlierMergedPR(github, owner, repo, login, since) {
+  const data = await github.request('/search/issues', {
+    q: `repo:${owner}/${repo} type:pr is:merged author:${login} merged:<${toSearchTimestamp(since)}`,
+    per_page: 1
+  })
+  return data.total_count > 0
+}
+
+/**
+ * 收集单个仓库的贡献者数据
+ *
+ * @param {object} github GitHub 客户端
+ * @param {string} owner
+ * @param {string} repo
+ * @param {Date} since
+ * @param {Date} until
+ * @param {object[]} prs 本周的 PR 列表（weeklyData.prs.prs）
+ * @param {object} options
+ * @param {string[]} options.botLogins 额外视为机器人的账号
+ * @param {number} options.maxReviewLookups 最多为多少个已合并 PR 单独查询 Review
+ * @param {number} options.maxFirstTimeLookups 最多为多少位作者查询此前的贡献
+ * @param {string|null} options.path 子目录，只统计改动了该目录的提交
+ */
+export async function collectContributors(github, owner, repo, since, until, prs, options = {}) {
+  const { botLogins = [], maxReviewLookups = 100, maxFirstTimeLookups = 50, path = null } = options
+  const humans = new Map()
+  const bots = new Map()
+  const target = (login, type) => isBot(login, { type, botLogins }) ? bots : humans
+
+  // PR 作者
+  for (const pr of prs) {
+    const map = target(pr.user, pr.userType)
+    addCount(map, pr.user, 'prs', 1, { login: pr.user })
+    if (pr.mergedAt) {
+      addCount(map, pr.user, 'mergedPrs')
+    }
+  }
+
+  // 提交作者
+  const commitAuthors = await getCommitAuthors(github, owner, repo, since, until, path)
+  for (const author of commitAuthors) {
+    const key = author.login || author.name
+    if (!key) continue
+    addCount(target(author.login, author.type), key, 'commits', 1, author.login ? { login: author.login } : { login: null, name: author.name })
+  }
+
+  // 评审人：只统计已合并的 PR，排除作者本人和机器人；查询到的 Review 会记录到 PR 上，供重要性评分使用
+  const mergedPrs = prs.filter(pr => pr.mergedAt)
+  const reviewCounts = new Map()
+  const reviewedPrs = mergedPrs.filter(pr => pr.reviews)
+  const withoutReviews = mergedPrs.filter(pr => !pr.reviews)
+  const lookups = withoutReviews.slice(0, maxReviewLookups)
+  for (const pr of lookups) {
+    pr.reviews = await getReviews(github, owner, repo, pr.number)
+    reviewedPrs.push(pr)
+  }
+  if (lookups.length < withoutReviews.length) {
+    console.log(`👀 ${owner}/${repo}: 已合并 PR 较多，只查询了最近 ${lookups.length} 个 PR 的 Review`)
+  }
+  reviewedPrs.forEach(pr => {
+    pr.reviews.reviewers
+      .filter(login => login !== pr.user && !isBot(login, { botLogins }))
+      .forEach(login => reviewCounts.set(login, (reviewCounts.get(login) || 0) + 1))
+  })
+
+  // 首次贡献者：本周有合并 PR，且此前没有合并过 PR 的真人作者
+  const candidates = [...new Set(mergedPrs
+    .filter(pr => humans.has(pr.user) && !MEMBER_ASSOCIATIONS.includes(pr.authorAssociation))
+    .map(pr => pr.user))]
+  const firstTimers = []
+  for (const login of candidates.slice(0, maxFirstTimeLookups)) {
+    if (!await hasEarlierMergedPR(github, owner, repo, login, since)) {
+      firstTimers.push({ login, prs: mergedPrs.filter(pr => pr.user === login).map(pr => pr.number) })
+    }
+  }
+  if (candidates.length > maxFirstTimeLookups) {
+    console.log(`🌱 ${owner}/${repo}: 待确认的新贡献者较多，只检查了前 ${maxFirstTimeLookups} 位`)
+  }
+
+  const byContribution = (a, b) => b.mergedPrs - a.mergedPrs || b.commits - a.commits || b.prs - a.prs
+
+  console.log(`👥 ${[owner, repo, path].filter(Boolean).join('/')}: ${humans.size} 位贡献者，${bots.size} 个机器人，${firstTimers.length} 位新贡献者`)
+
+  return {
+    authors: [...humans.values()].sort(byContribution),
+    bots: [...bots.values()].sort(byContribution),
+    firstTimers,
+    reviewers: [...reviewCounts.entries()]
+      .map(([login, reviews]) => ({ login, reviews }))
+      .sort((a, b) => b.reviews - a.reviews),
+    reviewedPrs: reviewedPrs.length,
+    mergedPrs: mergedPrs.length
+  }
+}
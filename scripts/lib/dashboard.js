@@ -0,0 +1,158 @@
+/**
+ * 数据看板
+ * 把所有的每期数据文件（docs/data/NN.json）汇总成一份精简的时间序列，供网站的数据看板页面使用；
+ * 没有数据文件的周报（第1～10期）按 front matter 中的合计数字补一行单仓库数据：
+ *
+ *   {
+ *     repos: [{ key, owner, name, path, pathDisplayName }],
+ *     categories: { types: [{ id, emoji, name }], areas: [{ id, name }] },
+ *     issues: [{ week, start, end, pages, repos: [{ key, parent, commits, prs, prsUnchecked, mergedPrs, issues, releases, stars, types, areas }] }]
+ *   }
+ *
+ * issues 按期数从早到晚排列，start / end 是统计周期在其时区中的起止日期（YYYY-MM-DD，end 为最后一天）。
+ * 子目录条目的 parent 是同一期中同一仓库的整体条目，页面汇总时两者都选中则不重复计入；
+ * Star 数是仓库级别的，同一仓库的多个条目只计一次。prsUnchecked 大于 0 时 prs 只是下限（见 prs.unchecked）。types / areas 是各分类的 PR 数，
+ * 较早的数据文件没有分类统计时为 null；按 front matter 补充的期数只有合计数字，mergedPrs、stars、types、areas 都为 null。由 .vitepress/theme/dashboard.data.js 在构建时调用
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { LANGS, getLocalePrefix } from './i18n.js'
+import { DEFAULT_TIME_ZONE, getZonedParts } from './periods.js'
+import { isSubProject } from './weekly-config.js'
+import { parseFrontMatter } from './weekly-index.js'
+
+const getRepoKey = (repo) => [repo.owner, repo.name, repo.path].filter(Boolean).join('/')
+
+/**
+ * 某个时刻在指定时区中的日期（YYYY-MM-DD）
+ */
+function toDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * 汇总已解析的数据文件
+ *
+ * @param {object[]} dataFiles 每期数据文件的内容
+ * @param {object[]} frontMatterIssues 没有数据文件的期数：{ week, period, totals, pages, repo }，repo 为 { owner, name }
+ * @returns {{ repos: object[], categories: { types: object[], areas: object[] }, issues: object[] }}
+ */
+export function buildDashboardData(dataFiles, frontMatterIssues = []) {
+  const sorted = [...dataFiles].sort((a, b) => a.weekNumber - b.weekNumber)
+  const repos = new Map()
+  // 分类规则以最新一期为准，旧数据中已经删除的分类仍然保留
+  const categories = { types: new Map(), areas: new Map() }
+
+  const issues = sorted.map(data => {
+    const timeZone = data.period.timeZone || DEFAULT_TIME_ZONE
+    const repoList = data.weeklyData.map(repoData => repoData.repo)
+    const counts = new Map((data.categories?.repos || []).map(entry => [entry.repo, entry]))
+
+    for (const kind of ['types', 'areas']) {
+      for (const rule of data.categories?.[kind] || []) {
+        categories[kind].set(rule.id, rule)
+      }
+    }
+
+    return {
+      week: data.weekNumber,
+      start: toDateString(new Date(data.period.start), timeZone),
+      end: toDateString(new Date(data.period.end), timeZone),
+      pages: data.pages,
+      repos: data.weeklyData.map(repoData => {
+        const key = getRepoKey(repoData.repo)
+        repos.set(key, {
+          key,
+          owner: repoData.repo.owner,
+          name: repoData.repo.name,
+          path: repoData.repo.path || null,
+          pathDisplayName: repoData.repo.pathDisplayName || null
+        })
+        return {
+          key,
+          parent: isSubProject(repoData.repo, repoList) ? getRepoKey({ owner: repoData.repo.owner, name: repoData.repo.name }) : null,
+          commits: repoData.commits.total,
+          prs: repoData.prs.total,
+          prsUnchecked: repoData.prs.unchecked || 0,
+          mergedPrs: repoData.prs.merged || 0,
+          issues: repoData.issues.total,
+          releases: repoData.releases.length,
+          stars: repoData.info?.stars ?? null,
+          types: counts.get(key)?.types || null,
+          areas: counts.get(key)?.areas || null
+        }
+      })
+    }
+  })
+
+  const weeks = new Set(issues.map(issue => issue.week))
+  for (const issue of frontMatterIssues.filter(issue => !weeks.has(issue.week))) {
+    const timeZone = issue.period.timeZone || DEFAULT_TIME_ZONE
+    const key = getRepoKey(issue.repo)
+    if (!repos.has(key)) {
+      repos.set(key, { key, owner: issue.repo.owner, name: issue.repo.name, path: null, pathDisplayName: null })
+    }
+
+    issues.push({
+      week: issue.week,
+      start: toDateString(new Date(issue.period.start), timeZone),
+      end: toDateString(new Date(issue.period.end), timeZone),
+      pages: issue.pages,
+      repos: [{
+        key,
+        parent: null,
+        commits: issue.totals.commits,
+        prs: issue.totals.prs,
+        prsUnchecked: 0,
+        mergedPrs: issue.totals.mergedPrs ?? null,
+        issues: issue.totals.issues,
+        releases: issue.totals.releases,
+        stars: null,
+        types: null,
+        areas: null
+      }]
+    })
+  }
+  issues.sort((a, b) => a.week - b.week)
+
+  return {
+    repos: [...repos.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    categories: { types: [...categories.types.values()], areas: [...categories.areas.values()] },
+    issues
+  }
+}
+
+/**
+ * 读取并汇总数据文件和周报的 front matter
+ *
+ * @param {string[]} filePaths 每期数据文件（.json）和各语言周报（.md）的路径
+ * @param {object} options
+ * @param {string} options.rootDir 站点根目录，用于确定周报页面的站内路径和语言
+ * @param {{ owner: string, name: string }} options.repo 没有数据文件的旧周报统计的仓库
+ */
+export async function readDashboardData(filePaths, { rootDir, repo }) {
+  const dataFiles = []
+  const frontMatterIssues = new Map()
+
+  for (const filePath of filePaths) {
+    const source = await fs.readFile(filePath, 'utf8')
+    if (filePath.endsWith('.json')) {
+      dataFiles.push(JSON.parse(source))
+      continue
+    }
+
+    const { data } = parseFrontMatter(source)
+    if (!data?.totals || !data.period) continue
+
+    const page = `/${path.relative(rootDir, filePath).split(path.sep).join('/').replace(/\.md$/, '')}`
+    const lang = LANGS.find(lang => page.startsWith(`${getLocalePrefix(lang)}/docs/`))
+    if (!frontMatterIssues.has(data.week)) {
+      frontMatterIssues.set(data.week, { week: data.week, period: data.period, totals: data.totals, pages: {}, repo })
+    }
+    frontMatterIssues.get(data.week).pages[lang] = page
+  }
+
+  return buildDashboardData(dataFiles, [...frontMatterIssues.values()])
+}
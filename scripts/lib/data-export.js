@@ -0,0 +1,135 @@
+/**
+ * 结构化数据导出
+ * 每期周报在 Markdown 之外另存一份 docs/data/NN.json，docs/data/index.json 汇总所有期数，
+ * 供网站和外部工具直接读取统计数据。结构见同目录下的 weekly.schema.json / index.schema.json
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { excludeSubProjects } from './weekly-config.js'
+
+// 数据文件格式版本，结构发生不兼容变化时递增（同时更新 schema 文件）
+export const DATA_SCHEMA_VERSION = 1
+
+const WEEKLY_FILE_PATTERN = /^(\d{2,})\.json$/
+
+/**
+ * 每期数据文件路径（docs/data/NN.json）
+ */
+export function getDataFilePath(dataDir, weekNumber) {
+  return path.join(dataDir, `${weekNumber.toString().padStart(2, '0')}.json`)
+}
+
+/**
+ * 各仓库数据的合计，用于汇总索引（同一仓库的子目录条目不重复计入）
+ */
+export function getTotals(weeklyData) {
+  return excludeSubProjects(weeklyData, data => data.repo).reduce((totals, data) => ({
+    commits: totals.commits + data.commits.total,
+    prs: totals.prs + data.prs.total,
+    mergedPrs: totals.mergedPrs + (data.prs.merged || 0),
+    issues: totals.issues + data.issues.total,
+    releases: totals.releases + data.releases.length
+  }), { commits: 0, prs: 0, mergedPrs: 0, issues: 0, releases: 0 })
+}
+
+/**
+ * 写入一期的数据文件
+ *
+ * @param {string} dataDir 数据目录
+ * @param {number} weekNumber 期数
+ * @param {object} payload
+ * @param {{ start: Date, end: Date }} payload.period 统计周期
+ * @param {object[]} payload.weeklyData 各仓库的原始周数据
+ * @param {object[]} payload.aiSections AI 分析结果：{ key, lang, analysisType, repo, id, text, provider }
+ * @param {Record<string, string>} payload.pages 各语言周报页面的站内路径
+ * @param {object|null} [payload.trends] 周环比趋势（lib/trends.js 的 buildTrends 结果）
+ * @param {object} [payload.categories] 各仓库 PR 的分类统计和使用的分类规则
+ * @param {object} payload.generator 生成器信息（数据来源、收集方式、提示词版本等）
+ */
+export async function writeWeeklyDataFile(dataDir, weekNumber, { period, weeklyData, aiSections, pages, trends = null, categories, generator }) {
+  const dataPath = getDataFilePath(dataDir, weekNumber)
+  const data = {
+    $schema: './weekly.schema.json',
+    schemaVersion: DATA_SCHEMA_VERSION,
+    weekNumber: Number(weekNumber),
+    period,
+    pages,
+    totals: getTotals(weeklyData),
+    trends,
+    ...(categories ? { categories } : {}),
+    weeklyData,
+    ai: { sections: aiSections },
+    generator: { ...generator, generatedAt: new Date().toISOString() }
+  }
+
+  await fs.mkdir(dataDir, { recursive: true })
+  await fs.writeFile(dataPath, JSON.stringify(data, null, 2) + '\n', 'utf8')
+
+  return dataPath
+}
+
+/**
+ * 读取一期的数据文件，不存在时返回 null
+ */
+export async function readWeeklyDataFile(dataDir, weekNumber) {
+  try {
+    return JSON.parse(await fs.readFile(getDataFilePath(dataDir, weekNumber), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * 根据目录中所有的每期数据文件重建汇总索引 docs/data/index.json，最新一期在前
+ * updatedAt 取各期中最近一次生成的时间，内容没有变化时不改写文件，重复重建不会产生差异
+ * 返回写入的索引路径，没有改写时返回 null
+ */
+export async function updateDataIndex(dataDir) {
+  const files = (await fs.readdir(dataDir)).filter(file => WEEKLY_FILE_PATTERN.test(file))
+
+  const issues = []
+  for (const file of files) {
+    const data = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8'))
+    issues.push({
+      weekNumber: data.weekNumber,
+      period: data.period,
+      file,
+      pages: data.pages,
+      totals: data.totals,
+      repos: data.weeklyData.map(repoData => ({
+        ...repoData.repo,
+        commits: repoData.commits.total,
+        prs: repoData.prs.total,
+        mergedPrs: repoData.prs.merged || 0,
+        issues: repoData.issues.total,
+        releases: repoData.releases.length
+      })),
+      generatedAt: data.generator.generatedAt
+    })
+  }
+  issues.sort((a, b) => b.weekNumber - a.weekNumber)
+
+  const indexPath = path.join(dataDir, 'index.json')
+  let previous = null
+  try {
+    previous = JSON.parse(await fs.readFile(indexPath, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+  if (previous?.schemaVersion === DATA_SCHEMA_VERSION && JSON.stringify(previous.issues) === JSON.stringify(issues)) {
+    return null
+  }
+
+  const generatedAt = issues.map(issue => issue.generatedAt).sort().at(-1)
+  const index = {
+    $schema: './index.schema.json',
+    schemaVersion: DATA_SCHEMA_VERSION,
+    updatedAt: generatedAt || previous?.updatedAt || new Date().toISOString(),
+    issues
+  }
+  await fs.writeFile(indexPath, JSON.stringify(index, null, 2) + '\n', 'utf8')
+
+  return indexPath
+}
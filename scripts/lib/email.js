@@ -0,0 +1,296 @@
+/**
+ * 邮件版周报
+ * 把一期周报渲染成适合邮件客户端的 HTML（表格布局、内联样式，窄屏时自适应）和纯文本两个版本：
+ * 页头（标题和摘要）、各仓库的统计表、可以展开的 AI 分析各部分，以及返回网站的链接。
+ * 各部分用 <details> 折叠，不支持的客户端（如 Gmail、Outlook）直接全部展开显示
+ *
+ * 要渲染的一期由生成器从 Markdown 或数据文件组装：
+ *   { lang, week, title, summary, url, stats: { rows, totals }, sections: [{ title, markdown, open }] }
+ */
+
+import MarkdownIt from 'markdown-it'
+import nodemailer from 'nodemailer'
+import { getLocalePrefix, getMessages } from './i18n.js'
+import { FEED_FILES, SITE, toAbsoluteUrl } from './feeds.js'
+import { parseFrontMatter } from './weekly-index.js'
+
+const COLORS = {
+  accent: '#e8542f',
+  text: '#1f2328',
+  muted: '#57606a',
+  border: '#d0d7de',
+  background: '#f6f8fa'
+}
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', Helvetica, Arial, sans-serif"
+
+// 邮件客户端大多会去掉 <style>，正文中的元素逐个写上内联样式
+const STYLES = {
+  h1: `margin:24px 0 12px;font-size:20px;line-height:1.4;color:${COLORS.text}`,
+  h2: `margin:20px 0 10px;font-size:18px;line-height:1.4;color:${COLORS.text}`,
+  h3: `margin:18px 0 8px;font-size:16px;line-height:1.4;color:${COLORS.text}`,
+  h4: `margin:16px 0 8px;font-size:15px;line-height:1.4;color:${COLORS.text}`,
+  p: 'margin:0 0 12px',
+  ul: 'margin:0 0 12px;padding-left:20px',
+  ol: 'margin:0 0 12px;padding-left:20px',
+  li: 'margin:0 0 4px',
+  blockquote: `margin:0 0 12px;padding:8px 12px;border-left:4px solid ${COLORS.accent};background:#fdf3f0;color:${COLORS.muted}`,
+  table: 'width:100%;border-collapse:collapse;margin:0 0 12px;font-size:13px',
+  th: `padding:6px 8px;border:1px solid ${COLORS.border};background:${COLORS.background};text-align:left`,
+  td: `padding:6px 8px;border:1px solid ${COLORS.border}`,
+  code: `padding:1px 4px;border-radius:4px;background:${COLORS.background};font-family:SFMono-Regular,Consolas,Menlo,monospace;font-size:13px`,
+  a: `color:${COLORS.accent};text-decoration:none`,
+  hr: `border:0;border-top:1px solid ${COLORS.border};margin:16px 0`
+}
+
+const md = new MarkdownIt({ html: false, linkify: true })
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * 站内链接（/docs/10 等）转换为站点的绝对地址，邮件中没有当前页面可以参照
+ */
+function toEmailLink(href, site) {
+  return href.startsWith('/') && !href.startsWith('//') ? toAbsoluteUrl(href, site) : href
+}
+
+/**
+ * 给 markdown-it 的 token 加上内联样式；已有 style（如表格对齐）时追加在后面
+ */
+function styleTokens(tokens, site) {
+  for (const token of tokens) {
+    const style = STYLES[token.tag]
+    if (style && token.nesting !== -1) {
+      const existing = token.attrGet('style')
+      token.attrSet('style', existing ? `${existing};${style}` : style)
+    }
+    if (token.type === 'link_open') {
+      token.attrSet('href', toEmailLink(token.attrGet('href'), site))
+      token.attrSet('target', '_blank')
+    }
+    if (token.children) {
+      styleTokens(token.children, site)
+    }
+  }
+}
+
+/**
+ * Markdown 转换为带内联样式的 HTML
+ */
+export function renderEmailMarkdown(markdown, { site = SITE } = {}) {
+  const tokens = md.parse(markdown || '', {})
+  styleTokens(tokens, site)
+  return md.renderer.render(tokens, md.options, {})
+}
+
+/**
+ * Markdown 转换为纯文本：去掉标题符号、强调和代码标记，链接写成「文字 (地址)」
+ */
+export function toPlainText(markdown, { site = SITE } = {}) {
+  return (markdown || '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (match, text, href) => `${text} (${toEmailLink(href, site)})`)
+    .replace(/\*\*|__|`/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * 拆分周报 Markdown：front matter、一级标题和按二级标题分开的各部分
+ *
+ * @returns {{ data: object|null, title: string|null, sections: { heading: string, body: string }[] }}
+ */
+export function parseIssueMarkdown(source) {
+  const { data, body } = parseFrontMatter(source)
+  const lines = body.replace(/\r\n/g, '\n').split('\n')
+  let title = null
+  const sections = []
+
+  for (const line of lines) {
+    const h1 = line.match(/^#\s+(.+)$/)
+    const h2 = line.match(/^##\s+(.+)$/)
+    if (h1 && !title) {
+      title = h1[1].trim()
+    } else if (h2) {
+      sections.push({ heading: h2[1].trim(), body: '' })
+    } else if (sections.length > 0) {
+      sections.at(-1).body += `${line}\n`
+    }
+  }
+
+  return { data, title, sections: sections.map(section => ({ ...section, body: section.body.trim() })) }
+}
+
+/**
+ * 读取 Markdown 表格的数据行（跳过表头和分隔行），每行为各单元格的文字
+ */
+export function parseMarkdownTable(markdown) {
+  const rows = markdown.split('\n')
+    .filter(line => line.trim().startsWith('|'))
+    .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()))
+  return rows.slice(2)
+}
+
+/**
+ * 统计表：各仓库一行，最后一行为合计
+ */
+function renderStatsTable(stats, t) {
+  const [repoLabel, ...columns] = t.emailStatsColumns
+  const cell = (value, tag = 'td', extra = null) => `<${tag} style="${[STYLES[tag], extra].filter(Boolean).join(';')}">${escapeHtml(value)}</${tag}>`
+  const numeric = 'text-align:right;white-space:nowrap'
+
+  const header = `<tr>${cell(repoLabel, 'th')}${columns.map(label => cell(label, 'th', numeric)).join('')}</tr>`
+  const rows = stats.rows.map(row =>
+    `<tr>${cell(row.repo)}${[row.commits, row.prs, row.issues, row.releases].map(value => cell(value, 'td', numeric)).join('')}</tr>`)
+  const { commits, prs, issues, releases } = stats.totals
+  const total = `<tr>${cell(t.emailTotal, 'td', 'font-weight:600')}${[commits, prs, issues, releases].map(value => cell(value, 'td', `${numeric};font-weight:600`)).join('')}</tr>`
+
+  return `<table class="stats" role="presentation" cellpadding="0" cellspacing="0" style="${STYLES.table}">${header}${rows.join('')}${total}</table>`
+}
+
+/**
+ * 可以展开的一部分；open 为 true 时默认展开
+ */
+function renderSection(section, site) {
+  return `<details${section.open ? ' open' : ''} style="margin:0 0 12px;border:1px solid ${COLORS.border};border-radius:6px">
+<summary style="padding:10px 12px;font-size:15px;font-weight:600;color:${COLORS.text};cursor:pointer">${escapeHtml(section.title)}</summary>
+<div style="padding:4px 12px 0">${renderEmailMarkdown(section.markdown, { site })}</div>
+</details>`
+}
+
+// 等宽字体中中日韩文字和全角符号占两列
+const displayWidth = (text) => [...text].reduce((width, char) => width + (/[\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1), 0)
+
+/**
+ * 纯文本版的统计表，各列按显示宽度对齐
+ */
+function renderStatsText(stats, t) {
+  const rows = [
+    t.emailStatsColumns,
+    ...stats.rows.map(row => [row.repo, row.commits, row.prs, row.issues, row.releases]),
+    [t.emailTotal, stats.totals.commits, stats.totals.prs, stats.totals.issues, stats.totals.releases]
+  ].map(row => row.map(String))
+  const widths = rows[0].map((_, index) => Math.max(...rows.map(row => displayWidth(row[index]))))
+  return rows.map(row => row.map((value, index) => {
+    const padding = ' '.repeat(widths[index] - displayWidth(value))
+    return index === 0 ? value + padding : padding + value
+  }).join('  ').trimEnd()).join('\n')
+}
+
+/**
+ * 渲染一期的邮件
+ *
+ * @param {object} issue 生成器组装的一期（结构见文件开头）
+ * @param {object} [options]
+ * @param {{ url: string, base: string }} [options.site] 站点地址
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderEmail(issue, { site = SITE } = {}) {
+  const t = getMessages(issue.lang)
+  const prefix = getLocalePrefix(issue.lang)
+  const subject = t.emailSubject(issue.title)
+  const links = [
+    { text: t.emailReadOnline, url: issue.url },
+    { text: t.emailArchive, url: toAbsoluteUrl(`${prefix}/archive`, site) },
+    { text: t.emailFeed, url: toAbsoluteUrl(`${prefix}/${FEED_FILES.rss}`, site) }
+  ]
+
+  const html = `<!DOCTYPE html>
+<html lang="${t.feedLanguage}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="color-scheme" content="light">
+<title>${escapeHtml(subject)}</title>
+<style>
+@media (max-width: 600px) {
+  .container { width: 100% !important; border-radius: 0 !important; }
+  .content { padding: 16px !important; }
+  .stats th, .stats td { padding: 4px !important; font-size: 12px !important; }
+}
+</style>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.background}">
+<div style="display:none;max-height:0;overflow:hidden">${escapeHtml(issue.summary || '')}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${COLORS.background}">
+<tr><td align="center" style="padding:24px 12px">
+<table role="presentation" class="container" width="640" cellpadding="0" cellspacing="0" style="width:640px;max-width:100%;background:#ffffff;border-radius:8px;overflow:hidden;font-family:${FONT_FAMILY};font-size:14px;line-height:1.6;color:${COLORS.text}">
+<tr><td style="padding:20px 24px;background:${COLORS.accent};color:#ffffff">
+<div style="font-size:13px;opacity:0.9">🦞 ${escapeHtml(t.feedTitle)}</div>
+<h1 style="margin:6px 0 0;font-size:22px;line-height:1.4;color:#ffffff">${escapeHtml(issue.title)}</h1>
+</td></tr>
+<tr><td class="content" style="padding:24px">
+${issue.summary ? `<p style="${STYLES.p};color:${COLORS.muted}">${escapeHtml(issue.summary)}</p>` : ''}
+<h2 style="${STYLES.h2};margin-top:0">${escapeHtml(t.emailStatsHeading)}</h2>
+${renderStatsTable(issue.stats, t)}
+${issue.sections.map(section => renderSection(section, site)).join('\n')}
+<p style="margin:20px 0 0;text-align:center"><a href="${escapeHtml(issue.url)}" target="_blank" style="display:inline-block;padding:10px 20px;border-radius:6px;background:${COLORS.accent};color:#ffffff;text-decoration:none;font-weight:600">${escapeHtml(t.emailReadOnline)} →</a></p>
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid ${COLORS.border};font-size:12px;color:${COLORS.muted};text-align:center">
+${links.map(link => `<a href="${escapeHtml(link.url)}" target="_blank" style="color:${COLORS.muted}">${escapeHtml(link.text)}</a>`).join(' · ')}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`
+
+  const text = [
+    `${t.feedTitle} · ${issue.title}`,
+    issue.summary,
+    `${t.emailStatsHeading}\n\n${renderStatsText(issue.stats, t)}`,
+    ...issue.sections.map(section => `== ${section.title} ==\n\n${toPlainText(section.markdown, { site })}`),
+    links.map(link => `${link.text}: ${link.url}`).join('\n')
+  ].filter(Boolean).join('\n\n') + '\n'
+
+  return { subject, html, text }
+}
+
+/**
+ * 收件人列表：逗号或分号分隔的地址
+ */
+export function parseRecipients(value) {
+  return (value || '').split(/[,;]/).map(address => address.trim()).filter(Boolean)
+}
+
+/**
+ * 通过 SMTP 发送邮件
+ *
+ * @param {{ subject: string, html: string, text: string }} message renderEmail 的结果
+ * @param {object} options
+ * @param {{ host: string, port: number, secure: boolean, user?: string, pass?: string }} options.smtp SMTP 服务器
+ * @param {string} options.from 发件人
+ * @param {string[]} options.to 收件人
+ * @param {number} [options.timeout] 连接和发送的超时（毫秒）
+ * @returns {Promise<{ messageId: string, accepted: string[], rejected: string[] }>}
+ */
+export async function sendEmail(message, { smtp, from, to, timeout = 30000 }) {
+  if (!smtp.host) {
+    throw new Error('没有配置 SMTP 服务器，请设置 SMTP_HOST')
+  }
+  if (to.length === 0) {
+    throw new Error('没有配置收件人，请设置 EMAIL_TO（多个地址用逗号分隔）')
+  }
+
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  })
+
+  try {
+    const info = await transport.sendMail({ from, to, subject: message.subject, html: message.html, text: message.text })
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected }
+  } finally {
+    transport.close()
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * 订阅源
+ * 按各期周报的 front matter（见 weekly-index.js）生成 RSS 2.0、Atom 和 JSON Feed，每种语言一组：
+ *
+ *   /openclaw-weekly/feed.xml、atom.xml、feed.json         中文
+ *   /openclaw-weekly/en/feed.xml、en/atom.xml、en/feed.json 英文
+ *
+ * 每期的标题、摘要（AI 的 PR 动向分析）、标签和统计周期都取自 front matter，发布时间为统计周期的结束时间。
+ * 条目的 id（RSS 中的 guid）是该期页面的绝对地址，只由语言和期数决定，重新生成同一期时保持不变。
+ * 网站构建时由 .vitepress/config.js 写出，生成器在新增周报后用同样的方法生成并校验
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { Feed } from 'feed'
+import { getLocalePrefix, getMessages } from './i18n.js'
+import { readIssues } from './weekly-index.js'
+
+// 站点地址；base 与 .vitepress/config.js 中的 base 相同，必须与仓库名称一致
+export const SITE = {
+  url: 'https://lzpsqzr.github.io',
+  base: '/openclaw-weekly/'
+}
+
+export const FEED_FILES = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json'
+}
+
+/**
+ * 站内路径（如 /en/docs/10）对应的绝对地址；周报页面带 .html 后缀，目录（以 / 结尾）原样保留
+ */
+export function toAbsoluteUrl(link, site = SITE) {
+  const pathname = link.replace(/^\//, '')
+  const suffix = pathname === '' || pathname.endsWith('/') || path.extname(pathname) ? '' : '.html'
+  return `${site.url}${site.base}${pathname}${suffix}`
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * 生成一种语言的订阅源，没有 front matter（缺少标题或统计周期）的旧周报不收录
+ *
+ * @param {object[]} issues readIssues 返回的周报，最新一期在前
+ * @param {object} options
+ * @param {string} options.lang 语言
+ * @param {{ url: string, base: string }} [options.site] 站点地址
+ * @returns {Feed}
+ */
+export function createFeed(issues, { lang, site = SITE }) {
+  const t = getMessages(lang)
+  const home = toAbsoluteUrl(`${getLocalePrefix(lang)}/`, site)
+  const entries = issues.filter(issue => issue.title && issue.period)
+
+  const feed = new Feed({
+    title: t.feedTitle,
+    description: t.feedDescription,
+    id: home,
+    link: home,
+    language: t.feedLanguage,
+    favicon: toAbsoluteUrl('/favicon.ico', site),
+    copyright: 'Copyright © 2026 OpenClaw Weekly',
+    // 使用最新一期的时间而不是当前时间，内容不变时重新构建得到相同的订阅源
+    updated: entries[0]?.period.end || new Date(0),
+    generator: 'openclaw-weekly',
+    feedLinks: Object.fromEntries(Object.entries(FEED_FILES).map(([format, fileName]) => [
+      format,
+      toAbsoluteUrl(`${getLocalePrefix(lang)}/${fileName}`, site)
+    ]))
+  })
+
+  for (const issue of entries) {
+    const url = toAbsoluteUrl(issue.link, site)
+    const summary = issue.summary || ''
+    feed.addItem({
+      id: url,
+      link: url,
+      title: issue.title,
+      description: summary,
+      // JSON Feed 要求每个条目有正文
+      content: `<p>${escapeHtml(summary)}</p>`,
+      date: issue.period.end,
+      published: issue.period.end,
+      category: issue.tags.map(tag => ({ name: String(tag) })),
+      week: issue.week
+    })
+  }
+
+  return feed
+}
+
+/**
+ * 按 FEED_FILES 渲染三种格式
+ *
+ * @returns {{ rss: string, atom: string, json: string }}
+ */
+export function renderFeed(feed) {
+  return {
+    rss: feed.rss2(),
+    atom: feed.atom1(),
+    json: feed.json1()
+  }
+}
+
+/**
+ * 校验订阅源：每个条目都要有标题、摘要、有效的发布时间，id 和链接是站点下的绝对地址且互不重复；
+ * 指定 weekNumber 时还要求包含该期。发现问题时报错，列出所有问题
+ *
+ * @param {Feed} feed createFeed 的结果
+ * @param {object} [options]
+ * @param {number} [options.weekNumber] 必须收录的期数
+ * @param {{ url: string, base: string }} [options.site] 站点地址
+ */
+export function validateFeed(feed, { weekNumber, site = SITE } = {}) {
+  const problems = []
+  const root = `${site.url}${site.base}`
+  const ids = new Set()
+
+  for (const item of feed.items) {
+    const label = `第${item.week}期`
+    if (!item.title) problems.push(`${label}缺少标题`)
+    if (!item.description) problems.push(`${label}缺少摘要`)
+    if (!(item.date instanceof Date) || Number.isNaN(item.date.getTime())) problems.push(`${label}的发布时间无效`)
+    if (!item.link.startsWith(root) || item.link.slice(root.length).includes('//')) {
+      problems.push(`${label}的链接不是站点下的绝对地址: ${item.link}`)
+    }
+    if (ids.has(item.id)) problems.push(`${label}的 id 重复: ${item.id}`)
+    ids.add(item.id)
+  }
+
+  if (weekNumber !== undefined && !feed.items.some(item => item.week === weekNumber)) {
+    problems.push(`没有收录第${weekNumber}期（周报缺少 front matter？）`)
+  }
+
+  // 渲染结果中每个条目都能找到（guid / id / url）
+  const rendered = renderFeed(feed)
+  let json = null
+  try {
+    json = JSON.parse(rendered.json)
+  } catch (error) {
+    problems.push(`JSON Feed 格式错误: ${error.message}`)
+  }
+  for (const item of feed.items) {
+    if (!rendered.rss.includes(`<guid>${item.id}</guid>`)) problems.push(`RSS 中缺少第${item.week}期`)
+    if (!rendered.atom.includes(`<id>${item.id}</id>`)) problems.push(`Atom 中缺少第${item.week}期`)
+    if (json && !json.items.some(entry => entry.id === item.id && entry.url === item.link)) problems.push(`JSON Feed 中缺少第${item.week}期`)
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`订阅源校验失败:\n  - ${problems.join('\n  - ')}`)
+  }
+}
+
+/**
+ * 网站构建时调用：读取各语言的周报，把订阅源写到输出目录中对应语言的路径下
+ *
+ * @param {string} srcDir 站点源文件目录（项目根目录）
+ * @param {string} outDir 构建输出目录
+ * @param {object} options
+ * @param {string[]} options.langs 语言
+ * @param {{ url: string, base: string }} [options.site] 站点地址
+ * @returns {Promise<string[]>} 写出的文件
+ */
+export async function writeFeeds(srcDir, outDir, { langs, site = SITE }) {
+  const written = []
+  for (const lang of langs) {
+    const prefix = getLocalePrefix(lang)
+    const issues = await readIssues(path.join(srcDir, prefix, 'docs'), {
+      linkPrefix: `${prefix}/docs`,
+      // 没有 front matter 的旧周报不收录，不需要统计周期
+      getPeriod: async () => null
+    })
+    const rendered = renderFeed(createFeed(issues, { lang, site }))
+
+    const dir = path.join(outDir, prefix)
+    await fs.mkdir(dir, { recursive: true })
+    for (const [format, fileName] of Object.entries(FEED_FILES)) {
+      await fs.writeFile(path.join(dir, fileName), rendered[format], 'utf8')
+      written.push(path.join(dir, fileName))
+    }
+  }
+  return written
+}
@@ -0,0 +1,297 @@
+/**
+ * GitHub API 客户端（REST / GraphQL）
+ * 负责速率限制等待、失败重试、ETag 条件请求缓存，并区分"没有数据"和"请求失败"
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * GitHub 请求失败（重试耗尽或不可重试的错误）
+ * 与成功返回空结果不同，调用方应当中止本次生成，避免把错误的数字写进周报
+ */
+export class GitHubRequestError extends Error {
+  constructor(message, { endpoint, status = null, rateLimited = false, cause } = {}) {
+    super(message, { cause })
+    this.name = 'GitHubRequestError'
+    this.endpoint = endpoint
+    this.status = status
+    this.rateLimited = rateLimited
+  }
+}
+
+/**
+ * 解析 Link 响应头，返回 { next, last, ... } 形式的链接表
+ */
+export function parseLinkHeader(header) {
+  const links = {}
+  if (!header) return links
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/)
+    if (match) {
+      links[match[2]] = match[1]
+    }
+  })
+
+  return links
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 根据请求路径推断所属的速率限制资源（与 X-RateLimit-Resource 对应）
+ */
+function getRateLimitResource(url) {
+  if (url.pathname.startsWith('/search/')) return 'search'
+  if (url.pathname === '/graphql') return 'graphql'
+  return 'core'
+}
+
+/**
+ * 创建 GitHub 客户端
+ *
+ * @param {object} options
+ * @param {string} options.apiBase API 根地址
+ * @param {string} [options.token] 访问令牌
+ * @param {number} [options.maxRetries] 5xx/网络错误/限流的最大重试次数
+ * @param {number} [options.retryBaseDelay] 指数退避的基础延迟（毫秒）
+ * @param {number} [options.maxRateLimitWait] 等待限流重置的最长时间（毫秒），超过则直接失败
+ * @param {number} [options.timeout] 单次请求的超时（毫秒，包括读取响应体），超时按网络错误重试
+ * @param {string} [options.cacheDir] ETag 缓存目录，不设置时只在内存中缓存
+ */
+export function createGitHubClient(options) {
+  const {
+    apiBase,
+    token,
+    maxRetries = 4,
+    retryBaseDelay = 1000,
+    maxRateLimitWait = 15 * 60 * 1000,
+    timeout = 30 * 1000,
+    cacheDir = null
+  } = options
+
+  // 各资源最近一次的限流状态：{ remaining, reset }（reset 为毫秒时间戳）
+  const rateLimits = {}
+  // ETag 缓存：url -> { etag, data, link }
+  const memoryCache = new Map()
+
+  const cacheFile = (url) => path.join(cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`)
+
+  async function readCache(url) {
+    if (memoryCache.has(url)) return memoryCache.get(url)
+    if (!cacheDir) return null
+
+    try {
+      const entry = JSON.parse(await fs.readFile(cacheFile(url), 'utf8'))
+      memoryCache.set(url, entry)
+      return entry
+    } catch {
+      return null
+    }
+  }
+
+  async function writeCache(url, entry) {
+    memoryCache.set(url, entry)
+    if (!cacheDir) return
+
+    try {
+      await fs.mkdir(cacheDir, { recursive: true })
+      await fs.writeFile(cacheFile(url), JSON.stringify(entry), 'utf8')
+    } catch (error) {
+      console.warn(`⚠️ 无法写入 GitHub 缓存: ${error.message}`)
+    }
+  }
+
+  function recordRateLimit(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining')
+    const reset = response.headers.get('x-ratelimit-reset')
+    const resource = response.headers.get('x-ratelimit-resource')
+    if (remaining === null || reset === null || !resource) return
+
+    rateLimits[resource] = { remaining: Number(remaining), reset: Number(reset) * 1000 }
+  }
+
+  /**
+   * 计算限流响应需要等待的时间，不是限流响应时返回 null
+   */
+  function getRateLimitDelay(response) {
+    if (response.status !== 403 && response.status !== 429) return null
+
+    const retryAfter = response.headers.get('retry-after')
+    if (retryAfter !== null) {
+      return Number(retryAfter) * 1000
+    }
+
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+      const reset = Number(response.headers.get('x-ratelimit-reset')) * 1000
+      return Math.max(reset - Date.now(), 0) + 1000
+    }
+
+    // 没有限流头的 429 同样视为限流（二级限流），按退避处理
+    return response.status === 429 ? 0 : null
+  }
+
+  /**
+   * 配额已经用完时，在发出请求前等待重置
+   */
+  async function waitForQuota(resource) {
+    const state = rateLimits[resource]
+    if (!state || state.remaining > 0) return
+
+    const delay = state.reset - Date.now() + 1000
+    if (delay <= 0) return
+
+    if (delay > maxRateLimitWait) {
+      throw new GitHubRequestError(`GitHub ${resource} 配额已用完，需要等待 ${Math.ceil(delay / 1000)} 秒`, { rateLimited: true })
+    }
+
+    console.log(`⏳ GitHub ${resource} 配额已用完，等待 ${Math.ceil(delay / 1000)} 秒后继续...`)
+    await sleep(delay)
+  }
+
+  /**
+   * 发送请求（带限流等待和重试），返回 { data, headers }，失败时抛出 GitHubRequestError
+   */
+  async function send(endpoint, params = {}, { method = 'GET', body = null } = {}) {
+    const url = new URL(endpoint.startsWith('http') ? endpoint : `${apiBase}${endpoint}`)
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined) {
+        url.searchParams.append(key, params[key])
+      }
+    })
+    const urlString = url.toString()
+    const resource = getRateLimitResource(url)
+
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'OpenClaw-Weekly-Bot'
+    }
+
+    if (token) {
+      headers['Authorization'] = `token ${token}`
+    }
+
+    if (body) {
+      headers['Content-Type'] = 'application/json'
+    }
+
+    // 只有 GET 请求使用 ETag 条件请求
+    const cached = method === 'GET' ? await readCache(urlString) : null
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag
+    }
+
+    let lastError = null
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await waitForQuota(resource)
+
+      // 超时信号同时作用于读取响应体，连接中途停滞时同样会中止
+      let response
+      let data
+      try {
+        response = await fetch(urlString, { method, headers, body, signal: AbortSignal.timeout(timeout) })
+        recordRateLimit(response)
+        if (response.ok) {
+          data = await response.json()
+        }
+      } catch (error) {
+        const reason = error.name === 'TimeoutError' ? `超时（${timeout / 1000} 秒）` : error.message
+        lastError = new GitHubRequestError(`请求 ${endpoint} 失败: ${reason}`, { endpoint, cause: error })
+        if (attempt < maxRetries) {
+          const delay = retryBaseDelay * 2 ** attempt
+          console.warn(`⚠️ ${lastError.message}，${delay / 1000} 秒后重试 (${attempt + 1}/${maxRetries})`)
+          await sleep(delay)
+        }
+        continue
+      }
+
+      // 304：数据未变化，使用缓存（条件请求不计入配额）
+      if (response.status === 304 && cached) {
+        return { data: cached.data, headers: new Headers(cached.link ? { link: cached.link } : {}) }
+      }
+
+      if (response.ok) {
+        const etag = response.headers.get('etag')
+        if (etag && method === 'GET') {
+          await writeCache(urlString, { etag, data, link: response.headers.get('link') })
+        }
+        return { data, headers: response.headers }
+      }
+
+      const rateLimitDelay = getRateLimitDelay(response)
+      const retryable = rateLimitDelay !== null || response.status >= 500
+      lastError = new GitHubRequestError(`GitHub API error: ${response.status} ${response.statusText} (${endpoint})`, {
+        endpoint,
+        status: response.status,
+        rateLimited: rateLimitDelay !== null
+      })
+
+      if (!retryable || attempt === maxRetries) break
+
+      const delay = Math.max(rateLimitDelay ?? 0, retryBaseDelay * 2 ** attempt)
+      if (delay > maxRateLimitWait) break
+
+      console.warn(`⚠️ ${lastError.message}，${Math.ceil(delay / 1000)} 秒后重试 (${attempt + 1}/${maxRetries})`)
+      await sleep(delay)
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 发送 GET 请求并返回 { data, headers }
+   * endpoint 既可以是 API 路径，也可以是 Link 头中的完整 URL
+   */
+  async function requestPage(endpoint, params = {}) {
+    return send(endpoint, params)
+  }
+
+  /**
+   * 发送请求并只返回响应数据
+   */
+  async function request(endpoint, params = {}) {
+    const { data } = await requestPage(endpoint, params)
+    return data
+  }
+
+  /**
+   * 沿 Link 头依次获取所有分页，返回合并后的数组
+   */
+  async function paginate(endpoint, params = {}) {
+    const firstPage = await requestPage(endpoint, { per_page: 100, ...params })
+    const items = [...firstPage.data]
+    let nextUrl = parseLinkHeader(firstPage.headers.get('link')).next
+
+    while (nextUrl) {
+      const page = await requestPage(nextUrl)
+      items.push(...page.data)
+      nextUrl = parseLinkHeader(page.headers.get('link')).next
+    }
+
+    return items
+  }
+
+  /**
+   * 发送 GraphQL 查询，返回 data 部分；响应中带有 errors 时同样视为请求失败
+   */
+  async function graphql(query, variables = {}) {
+    const { data } = await send('/graphql', {}, {
+      method: 'POST',
+      body: JSON.stringify({ query, variables })
+    })
+
+    if (data.errors?.length) {
+      throw new GitHubRequestError(`GitHub GraphQL error: ${data.errors.map(error => error.message).join('; ')}`, {
+        endpoint: '/graphql',
+        rateLimited: data.errors.some(error => error.type === 'RATE_LIMITED')
+      })
+    }
+
+    return data.data
+  }
+
+  return { request, requestPage, paginate, graphql }
+}
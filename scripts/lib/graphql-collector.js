@@ -0,0 +1,314 @@
+/**
+ * 基于 GitHub GraphQL API 的周数据收集器
+ * 仓库信息和发布合并为一次查询，PR 与 Issue 通过游标分页的搜索查询批量获取，
+ * 每个 PR 同时带回合并状态、Review、标签、改动文件、点赞和关联 Issue。
+ * 提交数与 REST 收集器使用同一个口径（见 commits.js），切换收集器时数字不变。
+ * 返回与 REST 收集器相同的 weeklyData 结构（PR 上多出的字段供后续分析使用）
+ */
+
+import { getCommitCount } from './commits.js'
+import { searchAllInRange } from './search-windows.js'
+import { getLabelQualifier, isInPath } from './weekly-config.js'
+
+const SEARCH_PAGE_SIZE = 50
+
+const OVERVIEW_QUERY = `
+query WeeklyOverview($owner: String!, $name: String!) {
+  repository(owner: $owner, name: $name) {
+    stargazerCount
+    forkCount
+    description
+    updatedAt
+    primaryLanguage { name }
+    issues(states: OPEN) { totalCount }
+    pullRequests(states: OPEN) { totalCount }
+    releases(first: 50, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { tagName name publishedAt isPrerelease isDraft description url }
+    }
+  }
+}`
+
+const PULL_REQUEST_SEARCH_QUERY = `
+query WeeklyPullRequests($query: String!, $first: Int!, $cursor: String) {
+  search(query: $query, type: ISSUE, first: $first, after: $cursor) {
+    issueCount
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      ... on PullRequest {
+        number
+        title
+        state
+        merged
+        mergedAt
+        createdAt
+        closedAt
+        url
+        author { login __typename }
+        authorAssociation
+        additions
+        deletions
+        changedFiles
+        files(first: 100) { pageInfo { hasNextPage endCursor } nodes { path } }
+        labels(first: 20) { nodes { name } }
+        reactions { totalCount }
+        comments { totalCount }
+        reviews(first: 50) { totalCount nodes { state author { login } } }
+        closingIssuesReferences(first: 10) { nodes { number } }
+      }
+    }
+  }
+}`
+
+// 改动文件超过一页（100 个）的 PR 继续分页获取
+const PULL_REQUEST_FILES_QUERY = `
+query PullRequestFiles($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+  repository(owner: $owner, name: $name) {
+    pullRequest(number: $number) {
+      files(first: 100, after: $cursor) { pageInfo { hasNextPage endCursor } nodes { path } }
+    }
+  }
+}`
+
+const ISSUE_SEARCH_QUERY = `
+query WeeklyIssues($query: String!, $first: Int!, $cursor: String) {
+  search(query: $query, type: ISSUE, first: $first, after: $cursor) {
+    issueCount
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      ... on Issue {
+        number
+        title
+        state
+        createdAt
+        closedAt
+        url
+        author { login __typename }
+        labels(first: 20) { nodes { name } }
+        reactions { totalCount }
+        comments { totalCount }
+      }
+    }
+  }
+}`
+
+/**
+ * 通过 GraphQL 搜索获取指定时间范围内的全部节点（游标分页，超过 1000 条时拆分时间窗口）
+ */
+async function searchAllNodes(github, graphqlQuery, baseQuery, since, until) {
+  return searchAllInRange(since, until, async (createdRange) => {
+    const variables = { query: `${baseQuery} ${createdRange}`, first: SEARCH_PAGE_SIZE }
+    const { search } = await github.graphql(graphqlQuery, variables)
+
+    return {
+      totalCount: search.issueCount,
+      items: search.nodes,
+      fetchRest: async () => {
+        const items = []
+        let pageInfo = search.pageInfo
+
+        while (pageInfo.hasNextPage) {
+          const page = await github.graphql(graphqlQuery, { ...variables, cursor: pageInfo.endCursor })
+          items.push(...page.search.nodes)
+          pageInfo = page.search.pageInfo
+        }
+
+        return items
+      }
+    }
+  })
+}
+
+/**
+ * 获取仓库信息和本周发布（一次查询）
+ */
+async function getOverview(github, owner, repo, since, until) {
+  const { repository } = await github.graphql(OVERVIEW_QUERY, { owner, name: repo })
+
+  const releases = repository.releases.nodes.filter(release => {
+    const publishedAt = new Date(release.publishedAt)
+    return publishedAt >= since && publishedAt <= until
+  }).map(release => ({
+    tagName: release.tagName,
+    name: release.name,
+    publishedAt: release.publishedAt,
+    prerelease: release.isPrerelease,
+    draft: release.isDraft,
+    body: release.description,
+    url: release.url
+  }))
+
+  return {
+    info: {
+      stars: repository.stargazerCount,
+      forks: repository.forkCount,
+      // 与 REST 的 open_issues_count 一致，包含未关闭的 PR
+      openIssues: repository.issues.totalCount + repository.pullRequests.totalCount,
+      language: repository.primaryLanguage?.name || null,
+      description: repository.description,
+      updatedAt: repository.updatedAt
+    },
+    releases
+  }
+}
+
+/**
+ * 获取 PR 的全部改动文件：搜索结果中已有第一页，之后的分页逐个查询
+ */
+async function getAllFiles(github, owner, repo, pr) {
+  const files = pr.files.nodes.map(file => file.path)
+  let pageInfo = pr.files.pageInfo
+
+  while (pageInfo.hasNextPage) {
+    const { repository } = await github.graphql(PULL_REQUEST_FILES_QUERY, { owner, name: repo, number: pr.number, cursor: pageInfo.endCursor })
+    files.push(...repository.pullRequest.files.nodes.map(file => file.path))
+    pageInfo = repository.pullRequest.files.pageInfo
+  }
+
+  return files
+}
+
+// 同一仓库、同一时间范围的 PR 搜索结果，整体条目和子目录条目共用，子目录条目不再重复这个最耗配额的查询
+const pullRequestSearches = new Map()
+
+/**
+ * 搜索指定时间范围内的全部 PR（含合并状态、Review、标签、改动文件、点赞和关联 Issue），结果按仓库和时间范围缓存
+ */
+function searchPullRequests(github, owner, repo, since, until) {
+  const key = `${owner}/${repo} ${since.toISOString()}..${until.toISOString()}`
+  if (!pullRequestSearches.has(key)) {
+    pullRequestSearches.set(key, fetchPullRequests(github, owner, repo, since, until))
+  }
+  return pullRequestSearches.get(key)
+}
+
+/**
+ * 分页获取全部 PR 并补齐改动文件，按创建时间从新到旧排列
+ */
+async function fetchPullRequests(github, owner, repo, since, until) {
+  const data = await searchAllNodes(github, PULL_REQUEST_SEARCH_QUERY, `repo:${owner}/${repo} type:pr`, since, until)
+  console.log(`🔀 ${owner}/${repo}: 找到 ${data.totalCount} 个 PR，已获取 ${data.items.length} 个 (GraphQL)`)
+
+  const prs = data.items.map(pr => ({
+    number: pr.number,
+    title: pr.title,
+    state: pr.state === 'OPEN' ? 'open' : 'closed',
+    user: pr.author?.login || 'ghost',
+    userType: pr.author?.__typename || null,
+    authorAssociation: pr.authorAssociation,
+    createdAt: pr.createdAt,
+    mergedAt: pr.mergedAt,
+    url: pr.url,
+    merged: pr.merged,
+    closedAt: pr.closedAt,
+    additions: pr.additions,
+    deletions: pr.deletions,
+    changedFiles: pr.changedFiles,
+    files: pr.files?.nodes.map(file => file.path) || [],
+    labels: pr.labels.nodes.map(label => label.name),
+    reactions: pr.reactions.totalCount,
+    comments: pr.comments.totalCount,
+    reviews: {
+      total: pr.reviews.totalCount,
+      reviewers: [...new Set(pr.reviews.nodes.map(review => review.author?.login).filter(Boolean))]
+    },
+    linkedIssues: pr.closingIssuesReferences.nodes.map(issue => issue.number)
+  }))
+
+  // 改动文件超过一页的 PR 补齐其余文件，避免按目录筛选和分类时漏判
+  for (const [index, pr] of data.items.entries()) {
+    if (pr.files?.pageInfo.hasNextPage) {
+      prs[index].files = await getAllFiles(github, owner, repo, pr)
+    }
+  }
+  prs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+  return { totalCount: data.totalCount, prs }
+}
+
+/**
+ * 获取指定时间范围内的 PR，指定 path 时只保留改动了该目录的 PR
+ */
+async function getPullRequests(github, owner, repo, since, until, path = null) {
+  const data = await searchPullRequests(github, owner, repo, since, until)
+  const prs = data.prs
+
+  if (path) {
+    const filtered = prs.filter(pr => pr.files.some(file => isInPath(file, path)))
+    console.log(`📂 ${owner}/${repo}/${path}: 从 ${prs.length} 个 PR 中筛选出 ${filtered.length} 个改动了该目录的 PR (GraphQL)`)
+
+    return {
+      total: filtered.length,
+      merged: filtered.filter(pr => pr.merged).length,
+      open: filtered.filter(pr => pr.state === 'open').length,
+      prs: filtered
+    }
+  }
+
+  return {
+    total: data.totalCount,
+    merged: prs.filter(pr => pr.merged).length,
+    open: prs.filter(pr => pr.state === 'open').length,
+    prs
+  }
+}
+
+/**
+ * 获取指定时间范围内最热门的 Issues（按点赞排序），labels 不为空时只统计带有其中任一标签的 Issue
+ */
+async function getTopIssues(github, owner, repo, since, until, limit, labels = []) {
+  const query = [`repo:${owner}/${repo} type:issue`, getLabelQualifier(labels)].filter(Boolean).join(' ')
+  const data = await searchAllNodes(github, ISSUE_SEARCH_QUERY, query, since, until)
+
+  const topIssues = data.items.map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state === 'OPEN' ? 'open' : 'closed',
+    user: issue.author?.login || 'ghost',
+    reactions: issue.reactions.totalCount,
+    createdAt: issue.createdAt,
+    closedAt: issue.closedAt,
+    url: issue.url,
+    labels: issue.labels.nodes.map(label => label.name),
+    comments: issue.comments.totalCount
+  }))
+    .sort((a, b) => b.reactions - a.reactions)
+    .slice(0, limit)
+
+  console.log(`🔍 ${owner}/${repo}: 找到 ${data.totalCount} 个 Issue，显示最热门的 ${topIssues.length} 个 (GraphQL)`)
+
+  // opened 为全部 Issue，供健康度统计首次响应
+  const opened = data.items.map(issue => ({
+    number: issue.number,
+    user: issue.author?.login || 'ghost',
+    userType: issue.author?.__typename || null,
+    createdAt: issue.createdAt,
+    comments: issue.comments.totalCount
+  }))
+
+  return { totalCount: data.totalCount, topIssues, opened }
+}
+
+/**
+ * 使用 GraphQL 收集单个仓库的周数据
+ * 返回 { info, commits, releases, prs, issues, openedIssues }，与 REST 收集器一致；
+ * 指定 path 时只统计改动了该目录的提交和 PR，版本发布不计入，Issue 按 issueLabels 统计
+ */
+export async function collectWithGraphQL(github, owner, repo, since, until, { topIssuesLimit = 5, path = null, issueLabels = [] } = {}) {
+  const [overview, commitCount, prs, topIssues] = await Promise.all([
+    getOverview(github, owner, repo, since, until),
+    getCommitCount(github, owner, repo, since, until, path),
+    getPullRequests(github, owner, repo, since, until, path),
+    path && issueLabels.length === 0
+      ? { totalCount: 0, topIssues: [] }
+      : getTopIssues(github, owner, repo, since, until, topIssuesLimit, issueLabels)
+  ])
+
+  return {
+    info: overview.info,
+    commits: { total: commitCount },
+    releases: path ? [] : overview.releases,
+    prs,
+    issues: { total: topIssues.totalCount, issues: topIssues.topIssues },
+    openedIssues: topIssues.opened || null
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * 项目健康度
+ * 统计 Issue 和 PR 的生命周期：维护者首次响应耗时、关闭（PR 为合并）耗时的中位数和 P90、
+ * 长期未更新的待处理数量，以及本周积压变化（新增减去关闭）
+ *
+ * 长期未更新的数量只能按查询时的状态统计（Search API 没有历史状态），记录查询时间 staleCheckedAt，
+ * 展示为生成时的当前值，而不是该周当时的值
+ *
+ * 首次响应：本周新建的 Issue/PR 中，第一条来自维护者（author_association 为 OWNER / MEMBER / COLLABORATOR，
+ * 不含作者本人和机器人）的评论或 Review 的时间。需要逐个查询评论，数量较多时均匀抽样。
+ * 关闭耗时：本周关闭的 Issue、本周合并的 PR 从创建到关闭/合并的时间。耗时均以小时为单位
+ */
+
+import { isBot } from './contributors.js'
+import { searchAllIssues, toSearchTimestamp } from './search-windows.js'
+
+const HOUR = 3600 * 1000
+
+/**
+ * 计算百分位数（线性插值），values 为空时返回 null
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const index = (sorted.length - 1) * p
+  const lower = Math.floor(index)
+  const upper = Math.ceil(index)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+}
+
+/**
+ * 一组耗时（小时）的中位数和 P90
+ */
+export function summarizeDurations(hours) {
+  const round = (value) => value === null ? null : Math.round(value * 10) / 10
+  return {
+    count: hours.length,
+    median: round(percentile(hours, 0.5)),
+    p90: round(percentile(hours, 0.9))
+  }
+}
+
+/**
+ * 从列表中均匀取出最多 limit 项
+ */
+function sampleEvenly(items, limit) {
+  if (items.length <= limit) return items
+  return Array.from({ length: limit }, (_, i) => items[Math.floor(i * items.length / limit)])
+}
+
+/**
+ * 维护者第一次响应的时间，没有响应时返回 null
+ *
+ * @param {{ user: string }} item Issue 或 PR
+ * @param {{ login: string, type: string|null, association: string, at: string }[]} events 评论和 Review
+ */
+export function getFirstResponseAt(item, events, { maintainerAssociations, botLogins = [] }) {
+  const responses = events
+    .filter(event => event.at && event.login !== item.user
+      && maintainerAssociations.includes(event.association)
+      && !isBot(event.login, { type: event.type, botLogins }))
+    .map(event => new Date(event.at))
+    .sort((a, b) => a - b)
+
+  return responses[0] || null
+}
+
+/**
+ * 获取 Issue/PR 的评论（PR 另外包括 Review）
+ */
+async function getResponseEvents(github, owner, repo, item) {
+  const events = []
+
+  // 没有评论的 Issue 不需要查询
+  if (item.isPullRequest || item.comments > 0) {
+    const comments = await github.paginate(`/repos/${owner}/${repo}/issues/${item.number}/comments`)
+    events.push(...comments.map(comment => ({
+      login: comment.user?.login,
+      type: comment.user?.type || null,
+      association: comment.author_association,
+      at: comment.created_at
+    })))
+  }
+
+  if (item.isPullRequest) {
+    const reviews = await github.paginate(`/repos/${owner}/${repo}/pulls/${item.number}/reviews`)
+    events.push(...reviews.map(review => ({
+      login: review.user?.login,
+      type: review.user?.type || null,
+      association: review.author_association,
+      at: review.submitted_at
+    })))
+  }
+
+  return events
+}
+
+/**
+ * 统计首次响应耗时（抽样）
+ */
+async function getFirstResponseStats(github, owner, repo, items, options) {
+  const sampled = sampleEvenly(items, options.maxResponseLookups)
+  const hours = []
+
+  for (const item of sampled) {
+    const events = await getResponseEvents(github, owner, repo, item)
+    const respondedAt = getFirstResponseAt(item, events, options)
+    if (respondedAt) {
+      hours.push((respondedAt - new Date(item.createdAt)) / HOUR)
+    }
+  }
+
+  return {
+    ...summarizeDurations(hours),
+    sampled: sampled.length,
+    waiting: sampled.length - hours.length
+  }
+}
+
+/**
+ * 当前仍未关闭、且最后更新早于 staleDays 天前的数量
+ */
+async function countStale(github, baseQuery, now, staleDays) {
+  const cutoff = new Date(now.getTime() - staleDays * 24 * HOUR)
+  const data = await github.request('/search/issues', {
+    q: `${baseQuery} is:open updated:<${toSearchTimestamp(cutoff)}`,
+    per_page: 1
+  })
+  return data.total_count
+}
+
+/**
+ * 收集单个仓库的健康度数据
+ *
+ * @param {object} github GitHub 客户端
+ * @param {string} owner
+ * @param {string} repo
+ * @param {Date} since
+ * @param {Date} until
+ * @param {object} items 收集器已经获取的本周数据
+ * @param {object[]} items.prs 本周新建的 PR 列表（weeklyData.prs.prs）
+ * @param {object[]|null} items.issues 本周新建的全部 Issue（{ number, user, userType, createdAt, comments }），
+ *   收集器按标签过滤了 Issue 时传 null，另外搜索
+ * @param {object} options
+ * @param {number} options.staleDays 超过多少天没有更新视为长期未更新
+ * @param {number} options.maxResponseLookups Issue、PR 各最多查询多少个的首次响应
+ * @param {string[]} options.maintainerAssociations 视为维护者的 author_association
+ * @param {string[]} options.botLogins 额外视为机器人的账号
+ * @param {number} options.perPage 搜索每页条数
+ */
+export async function collectHealth(github, owner, repo, since, until, { prs, issues = null }, options) {
+  const { staleDays = 30, perPage = 100 } = options
+  const issueQuery = `repo:${owner}/${repo} type:issue`
+  const prQuery = `repo:${owner}/${repo} type:pr`
+  const staleCheckedAt = new Date()
+
+  const [newIssues, closedIssues, closedPrs, staleIssues, stalePrs] = await Promise.all([
+    issues || searchAllIssues(github, issueQuery, since, until, { perPage }).then(data => data.items
+      .filter(issue => !issue.pull_request)
+      .map(issue => ({ number: issue.number, user: issue.user?.login, userType: issue.user?.type || null, createdAt: issue.created_at, comments: issue.comments || 0 }))),
+    searchAllIssues(github, `${issueQuery} is:closed`, since, until, { qualifier: 'closed', sort: 'updated', perPage }),
+    searchAllIssues(github, `${prQuery} is:closed`, since, until, { qualifier: 'closed', sort: 'updated', perPage }),
+    countStale(github, issueQuery, staleCheckedAt, staleDays),
+    countStale(github, prQuery, staleCheckedAt, staleDays)
+  ])
+
+  // 首次响应：机器人提交的 Issue/PR 不计入
+  const responseOptions = { maintainerAssociations: ['OWNER', 'MEMBER', 'COLLABORATOR'], ...options }
+  const humanItems = (items) => items.filter(item => !isBot(item.user, { type: item.userType, botLogins: options.botLogins }))
+  const newPrs = prs.map(pr => ({ number: pr.number, user: pr.user, userType: pr.userType || null, createdAt: pr.createdAt, isPullRequest: true }))
+
+  const issueResponse = await getFirstResponseStats(github, owner, repo, humanItems(newIssues), responseOptions)
+  const prResponse = await getFirstResponseStats(github, owner, repo, humanItems(newPrs), responseOptions)
+
+  const durationHours = (items, field) => items
+    .filter(item => item[field])
+    .map(item => (new Date(item[field]) - new Date(item.created_at)) / HOUR)
+  // Search API 的 PR 合并时间在 pull_request.merged_at 中
+  const closedPrItems = closedPrs.items.map(pr => ({ created_at: pr.created_at, merged_at: pr.pull_request?.merged_at || null }))
+
+  const health = {
+    staleDays,
+    staleCheckedAt: staleCheckedAt.toISOString(),
+    issues: {
+      opened: newIssues.length,
+      closed: closedIssues.totalCount,
+      backlogGrowth: newIssues.length - closedIssues.totalCount,
+      stale: staleIssues,
+      firstResponse: issueResponse,
+      timeToClose: summarizeDurations(durationHours(closedIssues.items, 'closed_at'))
+    },
+    prs: {
+      opened: prs.length,
+      closed: closedPrs.totalCount,
+      merged: closedPrItems.filter(pr => pr.merged_at).length,
+      backlogGrowth: prs.length - closedPrs.totalCount,
+      stale: stalePrs,
+      firstResponse: prResponse,
+      timeToMerge: summarizeDurations(durationHours(closedPrItems, 'merged_at'))
+    }
+  }
+
+  console.log(`🩺 ${owner}/${repo}: 本周关闭 ${health.issues.closed} 个 Issue、${health.prs.closed} 个 PR，抽样 ${issueResponse.sampled + prResponse.sampled} 个统计首次响应`)
+
+  return health
+}
@@ -0,0 +1,251 @@
+/**
+ * 周报的多语言文案和日期格式
+ * zh 为默认语言，输出到 docs/；其他语言输出到 <lang>/docs/，并对应 VitePress 的同名 locale
+ */
+
+import { DEFAULT_TIME_ZONE, getZonedParts } from './periods.js'
+
+export const DEFAULT_LANG = 'zh'
+export const LANGS = ['zh', 'en']
+
+const EN_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+const EN_MONTHS_LONG = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+const MESSAGES = {
+  zh: {
+    title: (weekNumber, dateRange) => `第${weekNumber}期【${dateRange}】`,
+    issueLabel: (weekNumber, dateRange) => `第${weekNumber}期：${dateRange}`,
+    overviewHeading: '## 📊 本周活动概览',
+    overviewTableHeader: '| 仓库 | 新增Commit | 新增PR | 新增Issue | 版本发布 |\n|------|------------|--------|-----------|----------|',
+    trendsHeading: '## 📈 趋势对比',
+    trendsIntro: (previousWeek, firstWeek, lastWeek) => `与第${previousWeek}期相比的变化，趋势线为第${firstWeek}-${lastWeek}期。`,
+    trendsTableHeader: '| 指标 | 本期 | 上期 | 变化 | 趋势 |\n|------|------|------|------|------|',
+    trendMetricLabels: { commits: 'Commit', prs: 'PR', issues: 'Issue', releases: '版本发布', stars: 'Star' },
+    trendSwing: '⚠️ 大幅波动',
+    highlightsHeading: '## 🚀 重要更新',
+    releasesHeading: (repoName) => `### ${repoName} 版本发布`,
+    publishedAt: '发布时间',
+    aiAnalysis: '**🤖 AI 分析**',
+    releaseBody: '更新内容',
+    includesPrereleases: '包含预发布版本',
+    breakingNotice: (count) => `⚠️ **破坏性变更（${count} 项）**：升级前请检查以下改动`,
+    releaseSections: {
+      changes: (count) => `**✨ 新功能与改进**（${count} 项）`,
+      fixes: (count) => `**🐛 问题修复**（${count} 项）`
+    },
+    viewDetails: '查看详情',
+    noReleases: '本周暂无版本发布。',
+    updatesHeading: '## 🔄 本周更新分析',
+    prAnalysis: '**🔀 PR动向分析**',
+    importantPrs: (total, merged, atLeast = false) => `**重要PR** (共${atLeast ? '至少' : ''}${total}个，合并${merged}个，按重要性排序)`,
+    prsUncheckedNote: (count) => `> 「≥」表示该目录的 PR 数是下限：REST 收集器只检查了部分 PR 的改动文件，另有 ${count} 个 PR 没有检查。使用 GraphQL 收集器（\`WEEKLY_COLLECTOR=graphql\`）可以得到准确的数量。`,
+    prCategories: '**🗂️ PR 分类**',
+    prAreas: '**📡 涉及领域**',
+    categoryHeading: (title, total, merged) => `#### ${title}（${total}个，合并${merged}个）`,
+    moreItems: (count) => `- …另有 ${count} 个`,
+    hotIssues: '**🔥 本周热门讨论** (按点赞排序)',
+    issueAnalysis: '**🤖 AI 概括分析**',
+    contributorsHeading: '## 👥 社区贡献者',
+    contributorsSummary: (humans, bots) => `本周共有 **${humans}** 位贡献者参与（另有 ${bots} 个机器人账号）。`,
+    topContributors: '**🏆 贡献排行** (按合并PR数、提交数排序)',
+    contributorsTableHeader: '| 贡献者 | 合并PR | 新建PR | 提交 |\n|--------|--------|--------|------|',
+    firstTimers: '**🌱 欢迎新贡献者** (首次有PR被合并)',
+    reviewers: (reviewed, merged) => `**👀 代码评审** (统计了 ${reviewed}/${merged} 个已合并PR)`,
+    reviewCount: (count) => `评审 ${count} 个PR`,
+    bots: '**🤖 机器人账号**',
+    botActivity: (prs, commits) => `${prs} 个PR，${commits} 次提交`,
+    healthHeading: '## 🩺 项目健康度',
+    healthTableHeader: '| 指标 | Issue | PR |\n|------|-------|----|',
+    healthMetricLabels: {
+      openedClosed: '本周新增 / 关闭',
+      backlogGrowth: '积压变化',
+      firstResponse: '首次响应（中位数 / P90）',
+      waiting: '尚未响应 / 抽样数',
+      timeToClose: '关闭或合并耗时（中位数 / P90）',
+      stale: (days, asOf) => `当前超过 ${days} 天未更新${asOf ? `（截至 ${asOf}）` : ''}`
+    },
+    healthNote: '> 首次响应指维护者（仓库成员和协作者）第一次评论或 Review，统计本周新建的 Issue/PR（数量较多时抽样）；关闭耗时统计本周关闭的 Issue 和本周合并的 PR；长期未更新的数量是生成周报时的当前值，不是该周当时的值。',
+    summaryHeading: '## 📝 本期总结',
+    summary: (commits, prs, issues) => `本周 OpenClaw 生态继续保持活跃发展，共计 **${commits}** 次提交，**${prs}** 个PR，**${issues}** 个Issue（热门讨论见上方）。`,
+    footer: (endDate) => `*本期编辑：AIOPS助手 | 数据统计截止：${endDate}* 🦞`,
+    emptyAnalysis: '分析完成，但未返回具体内容',
+    analysisTypeLabels: { releases: '版本发布', prs: 'Pull Request', issues: 'Issue', commits: '代码提交' },
+    indexListHeading: '## 📚 周报列表',
+    indexEndMarker: '## 🚀 项目特色',
+    archiveTitle: '周报归档',
+    archiveIntro: '所有已发布的周报，最新一期在前。数字为各仓库的合计（新增 Commit / PR / Issue），摘要来自 AI 的 PR 动向分析。',
+    archiveTableHeader: '| 期数 | 统计周期 | Commit / PR / Issue | 标签 | 摘要 |\n|------|----------|---------------------|------|------|',
+    archiveIssue: (weekNumber) => `第${weekNumber}期`,
+    archiveEmpty: '暂无周报。',
+    feedLanguage: 'zh-CN',
+    feedTitle: 'OpenClaw Weekly',
+    feedDescription: 'OpenClaw 仓库每周动向追踪 - Your personal AI assistant, the lobster way 🦞',
+    notifyTotals: ({ commits, prs, mergedPrs, issues, releases }) => `${commits} 次提交 · ${prs} 个 PR${mergedPrs ? `（合并 ${mergedPrs} 个）` : ''} · ${issues} 个 Issue · ${releases} 个版本发布`,
+    notifyReleases: '🏷️ 版本发布',
+    notifyTopPrs: '🔥 重要 PR',
+    notifyReadMore: '阅读本期周报',
+    emailSubject: (title) => `OpenClaw Weekly ${title}`,
+    emailStatsHeading: '📊 本周活动概览',
+    emailStatsColumns: ['仓库', 'Commit', 'PR', 'Issue', '版本发布'],
+    emailTotal: '合计',
+    emailReadOnline: '在网站上阅读',
+    emailArchive: '往期周报',
+    emailFeed: 'RSS 订阅'
+  },
+  en: {
+    title: (weekNumber, dateRange) => `Issue #${weekNumber} (${dateRange})`,
+    issueLabel: (weekNumber, dateRange) => `Issue #${weekNumber}: ${dateRange}`,
+    overviewHeading: '## 📊 Activity Overview',
+    overviewTableHeader: '| Repository | New Commits | New PRs | New Issues | Releases |\n|------------|-------------|---------|------------|----------|',
+    trendsHeading: '## 📈 Trends',
+    trendsIntro: (previousWeek, firstWeek, lastWeek) => `Changes compared with issue #${previousWeek}; trend lines cover issues #${firstWeek}-#${lastWeek}.`,
+    trendsTableHeader: '| Metric | This week | Last week | Change | Trend |\n|--------|-----------|-----------|--------|-------|',
+    trendMetricLabels: { commits: 'Commits', prs: 'PRs', issues: 'Issues', releases: 'Releases', stars: 'Stars' },
+    trendSwing: '⚠️ large swing',
+    highlightsHeading: '## 🚀 Highlights',
+    releasesHeading: (repoName) => `### ${repoName} Releases`,
+    publishedAt: 'Published',
+    aiAnalysis: '**🤖 AI Analysis**',
+    releaseBody: 'Notes',
+    includesPrereleases: 'Includes prereleases',
+    breakingNotice: (count) => `⚠️ **Breaking changes (${count})**: review these before upgrading`,
+    releaseSections: {
+      changes: (count) => `**✨ Changes (${count})**`,
+      fixes: (count) => `**🐛 Fixes (${count})**`
+    },
+    viewDetails: 'View details',
+    noReleases: 'No releases this week.',
+    updatesHeading: '## 🔄 This Week in Development',
+    prAnalysis: '**🔀 Pull Request Trends**',
+    importantPrs: (total, merged, atLeast = false) => `**Notable PRs** (${atLeast ? 'at least ' : ''}${total} total, ${merged} merged, ranked by significance)`,
+    prsUncheckedNote: (count) => `> "≥" marks a lower bound for a directory's PR count: the REST collector only checked the changed files of some PRs and skipped ${count}. Use the GraphQL collector (\`WEEKLY_COLLECTOR=graphql\`) for exact counts.`,
+    prCategories: '**🗂️ PRs by Category**',
+    prAreas: '**📡 Areas**',
+    categoryHeading: (title, total, merged) => `#### ${title} (${total}, ${merged} merged)`,
+    moreItems: (count) => `- …and ${count} more`,
+    hotIssues: '**🔥 Hot Discussions** (by reactions)',
+    issueAnalysis: '**🤖 AI Summary**',
+    contributorsHeading: '## 👥 Contributors',
+    contributorsSummary: (humans, bots) => `**${humans}** people contributed this week (plus ${bots} bot accounts).`,
+    topContributors: '**🏆 Top Contributors** (by merged PRs, then commits)',
+    contributorsTableHeader: '| Contributor | Merged PRs | New PRs | Commits |\n|-------------|------------|---------|---------|',
+    firstTimers: '**🌱 Welcome, First-time Contributors** (first merged PR)',
+    reviewers: (reviewed, merged) => `**👀 Code Review** (${reviewed} of ${merged} merged PRs checked)`,
+    reviewCount: (count) => `reviewed ${count} PR${count === 1 ? '' : 's'}`,
+    bots: '**🤖 Bots**',
+    botActivity: (prs, commits) => `${prs} PRs, ${commits} commits`,
+    healthHeading: '## 🩺 Project Health',
+    healthTableHeader: '| Metric | Issues | PRs |\n|--------|--------|-----|',
+    healthMetricLabels: {
+      openedClosed: 'Opened / closed this week',
+      backlogGrowth: 'Backlog change',
+      firstResponse: 'First response (median / p90)',
+      waiting: 'Awaiting response / sampled',
+      timeToClose: 'Time to close or merge (median / p90)',
+      stale: (days, asOf) => `Currently no updates for ${days}+ days${asOf ? ` (as of ${asOf})` : ''}`
+    },
+    healthNote: '> First response is the first comment or review by a maintainer (repository members and collaborators) on issues and PRs opened this week (sampled when there are many); time to close covers issues closed and PRs merged this week; the stale count is the current value at generation time, not the value for that week.',
+    summaryHeading: '## 📝 Summary',
+    summary: (commits, prs, issues) => `The OpenClaw ecosystem stayed busy this week with **${commits}** commits, **${prs}** PRs and **${issues}** issues (see the hot discussions above).`,
+    footer: (endDate) => `*Edited by the AIOPS assistant | Data as of ${endDate}* 🦞`,
+    emptyAnalysis: 'Analysis finished but returned no content',
+    analysisTypeLabels: { releases: 'release', prs: 'pull request', issues: 'issue', commits: 'commit' },
+    indexListHeading: '## 📚 All Issues',
+    indexEndMarker: '## 🚀 Features',
+    archiveTitle: 'Archive',
+    archiveIntro: 'Every published issue, newest first. Numbers are totals across repositories (new commits / PRs / issues); summaries come from the AI pull request trends.',
+    archiveTableHeader: '| Issue | Period | Commits / PRs / Issues | Tags | Summary |\n|-------|--------|------------------------|------|---------|',
+    archiveIssue: (weekNumber) => `#${weekNumber}`,
+    archiveEmpty: 'No issues yet.',
+    feedLanguage: 'en-US',
+    feedTitle: 'OpenClaw Weekly (English)',
+    feedDescription: 'Weekly tracking of the OpenClaw repository - Your personal AI assistant, the lobster way 🦞',
+    notifyTotals: ({ commits, prs, mergedPrs, issues, releases }) => `${commits} commits · ${prs} PRs${mergedPrs ? ` (${mergedPrs} merged)` : ''} · ${issues} issues · ${releases} releases`,
+    notifyReleases: '🏷️ Releases',
+    notifyTopPrs: '🔥 Top pull requests',
+    notifyReadMore: 'Read the full issue',
+    emailSubject: (title) => `OpenClaw Weekly ${title}`,
+    emailStatsHeading: '📊 Activity Overview',
+    emailStatsColumns: ['Repository', 'Commits', 'PRs', 'Issues', 'Releases'],
+    emailTotal: 'Total',
+    emailReadOnline: 'Read on the website',
+    emailArchive: 'Archive',
+    emailFeed: 'RSS feed'
+  }
+}
+
+/**
+ * 获取指定语言的文案
+ */
+export function getMessages(lang = DEFAULT_LANG) {
+  const messages = MESSAGES[lang]
+  if (!messages) {
+    throw new Error(`不支持的语言: ${lang}（可选: ${LANGS.join(', ')}）`)
+  }
+  return messages
+}
+
+/**
+ * 格式化日期（按 timeZone 所在时区的日期）：zh 为 2026年3月2日，en 为 Mar 2, 2026
+ */
+export function formatDate(date, lang = DEFAULT_LANG, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone)
+
+  if (lang === 'en') {
+    return `${EN_MONTHS[month - 1]} ${day}, ${year}`
+  }
+  return `${year}年${month}月${day}日`
+}
+
+/**
+ * 格式化日期范围，结束时间为统计周期的最后一刻（见 lib/periods.js）
+ */
+export function formatDateRange(startDate, endDate, lang = DEFAULT_LANG, timeZone = DEFAULT_TIME_ZONE) {
+  const separator = lang === 'en' ? ' – ' : '-'
+  return `${formatDate(startDate, lang, timeZone)}${separator}${formatDate(endDate, lang, timeZone)}`
+}
+
+/**
+ * 格式化月份（用于侧边栏和首页分组）：zh 为 2026年3月，en 为 March 2026
+ */
+export function formatMonth(date, lang = DEFAULT_LANG, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month } = getZonedParts(date, timeZone)
+  if (lang === 'en') {
+    return `${EN_MONTHS_LONG[month - 1]} ${year}`
+  }
+  return `${year}年${month}月`
+}
+
+/**
+ * 格式化发布时间等短日期：zh 为 2026/3/8，en 为 3/8/2026
+ */
+export function formatShortDate(date, lang = DEFAULT_LANG, timeZone = DEFAULT_TIME_ZONE) {
+  return date.toLocaleDateString(lang === 'en' ? 'en-US' : 'zh-CN', { timeZone })
+}
+
+/**
+ * 格式化耗时（小时）：不到 1 小时按分钟，不到 2 天按小时，否则按天；没有数据时为 —
+ */
+export function formatDuration(hours, lang = DEFAULT_LANG) {
+  if (hours === null || hours === undefined) return '—'
+
+  const units = lang === 'en' ? { minutes: 'min', hours: 'h', days: 'd' } : { minutes: ' 分钟', hours: ' 小时', days: ' 天' }
+  if (hours < 1) return `${Math.round(hours * 60)}${units.minutes}`
+  if (hours < 48) return `${Number(hours.toFixed(1))}${units.hours}`
+  return `${Number((hours / 24).toFixed(1))}${units.days}`
+}
+
+/**
+ * 取配置中按语言区分的文本：{ zh: '新功能', en: 'Features' }，普通字符串原样返回
+ */
+export function localize(text, lang = DEFAULT_LANG) {
+  if (text === null || typeof text !== 'object') return text
+  return text[lang] ?? text[DEFAULT_LANG]
+}
+
+/**
+ * 站点中该语言的路径前缀：默认语言为空，其他语言为 /<lang>
+ */
+export function getLocalePrefix(lang = DEFAULT_LANG) {
+  return lang === DEFAULT_LANG ? '' : `/${lang}`
+}
@@ -0,0 +1,288 @@
+/**
+ * 新周报的聊天通知
+ * 每种渠道实现同一组接口：
+ *   isConfigured(config)             是否已正确配置（Webhook 地址、Bot Token 等）
+ *   buildRequest(config, digest)     按渠道的消息格式构建 { url, init } 形式的 fetch 参数
+ *   getError(status, result)         从响应中取出错误信息，成功时返回 null
+ * CONFIG.notify.targets 中的每一项通过 type（默认与 name 相同）对应到这里的实现
+ *
+ * digest 是一期周报的精简摘要，由生成器组装：
+ *   { lang, title, url, totals, releases: [{ tagName, url, repo }], topPrs: [{ number, title, url, repo }] }
+ */
+
+import crypto from 'crypto'
+import { getMessages } from './i18n.js'
+
+/**
+ * 通知发送失败
+ */
+export class NotifyError extends Error {
+  constructor(message, { target, status = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'NotifyError'
+    this.target = target
+    this.status = status
+  }
+}
+
+const truncate = (text, maxLength) => text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+
+// Slack mrkdwn 和 Telegram HTML 都需要转义 & < >
+const escapeMarkup = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+/**
+ * 摘要中的各部分：合计和版本发布、重要 PR 的列表行
+ * 每一行是文字和链接（{ url, text }）组成的片段，由各渠道按自己的格式输出
+ */
+function getDigestLines(digest) {
+  const t = getMessages(digest.lang)
+  // 跟踪多个仓库时注明版本所属的仓库
+  const multiRepo = new Set(digest.releases.map(release => release.repo)).size > 1
+  return {
+    t,
+    totals: t.notifyTotals(digest.totals),
+    releases: digest.releases.map(release => ['• ', { url: release.url, text: release.tagName }, multiRepo ? ` (${release.repo})` : '']),
+    topPrs: digest.topPrs.map(pr => ['• ', { url: pr.url, text: `#${pr.number}` }, ` ${truncate(pr.title, 150)}`])
+  }
+}
+
+/**
+ * 把列表行输出为文本：link 按渠道的语法生成链接，escape 转义其余的文字
+ */
+const renderLines = (lines, { link, escape = text => text }) => lines
+  .map(segments => segments.map(segment => typeof segment === 'string' ? escape(segment) : link(segment.url, segment.text)).join(''))
+  .join('\n')
+
+const hasUrl = (config) => Boolean(config.url)
+
+const jsonRequest = (url, body) => ({
+  url,
+  init: {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }
+})
+
+const slack = {
+  isConfigured: hasUrl,
+
+  buildRequest(config, digest) {
+    const { t, totals, releases, topPrs } = getDigestLines(digest)
+    const markup = { link: (url, text) => `<${url}|${escapeMarkup(text)}>`, escape: escapeMarkup }
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(`🦞 ${digest.title}`, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: escapeMarkup(totals) } }
+    ]
+    if (releases.length > 0) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*${t.notifyReleases}*\n${renderLines(releases, markup)}`, 3000) } })
+    }
+    if (topPrs.length > 0) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*${t.notifyTopPrs}*\n${renderLines(topPrs, markup)}`, 3000) } })
+    }
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `<${digest.url}|${t.notifyReadMore} →>` } })
+
+    // text 用于通知预览和不支持 blocks 的客户端
+    return jsonRequest(config.url, { text: `${digest.title} ${digest.url}`, blocks })
+  },
+
+  getError(status, result) {
+    // Slack Incoming Webhook 成功时返回纯文本 ok
+    return status >= 200 && status < 300 ? null : result?.error || null
+  }
+}
+
+const discord = {
+  isConfigured: hasUrl,
+
+  buildRequest(config, digest) {
+    const { t, totals, releases, topPrs } = getDigestLines(digest)
+    const markup = { link: (url, text) => `[${text}](${url})` }
+    const fields = []
+    if (releases.length > 0) fields.push({ name: t.notifyReleases, value: truncate(renderLines(releases, markup), 1024) })
+    if (topPrs.length > 0) fields.push({ name: t.notifyTopPrs, value: truncate(renderLines(topPrs, markup), 1024) })
+
+    return jsonRequest(config.url, {
+      username: config.username || 'OpenClaw Weekly',
+      embeds: [{
+        title: truncate(`🦞 ${digest.title}`, 256),
+        url: digest.url,
+        description: `${totals}\n\n[${t.notifyReadMore} →](${digest.url})`,
+        color: 0xE8542F,
+        fields
+      }],
+      // 标题中可能出现 @everyone 等文字，不触发提醒
+      allowed_mentions: { parse: [] }
+    })
+  },
+
+  getError(status, result) {
+    // Discord Webhook 成功时返回 204
+    return status >= 200 && status < 300 ? null : result?.message || null
+  }
+}
+
+/**
+ * 飞书自定义机器人的签名：以「时间戳\n密钥」为 key 对空字符串做 HmacSHA256，再 Base64 编码
+ */
+function signFeishu(secret, timestamp) {
+  return crypto.createHmac('sha256', `${timestamp}\n${secret}`).update('').digest('base64')
+}
+
+const feishu = {
+  isConfigured: hasUrl,
+
+  buildRequest(config, digest) {
+    // 富文本（post）的每一行是一组 text / a 元素
+    const { t, totals, releases, topPrs } = getDigestLines(digest)
+    const toLine = (segments) => segments.filter(Boolean).map(segment => typeof segment === 'string'
+      ? { tag: 'text', text: segment }
+      : { tag: 'a', text: segment.text, href: segment.url })
+    const section = (heading, lines) => lines.length > 0 ? [[{ tag: 'text', text: heading }], ...lines.map(toLine)] : []
+
+    const content = [
+      [{ tag: 'text', text: totals }],
+      ...section(t.notifyReleases, releases),
+      ...section(t.notifyTopPrs, topPrs),
+      [{ tag: 'a', text: `${t.notifyReadMore} →`, href: digest.url }]
+    ]
+
+    const body = {
+      msg_type: 'post',
+      content: { post: { [digest.lang === 'en' ? 'en_us' : 'zh_cn']: { title: `🦞 ${digest.title}`, content } } }
+    }
+    // 机器人开启了签名校验时需要带上时间戳（秒）和签名
+    if (config.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000))
+      Object.assign(body, { timestamp, sign: signFeishu(config.secret, timestamp) })
+    }
+    return jsonRequest(config.url, body)
+  },
+
+  getError(status, result) {
+    // 飞书在 HTTP 200 中返回 code，非 0 表示失败
+    const code = result?.code ?? result?.StatusCode ?? null
+    if (status >= 200 && status < 300 && (code === null || code === 0)) return null
+    return result?.msg || result?.StatusMessage || (code !== null ? `code ${code}` : null)
+  }
+}
+
+const telegram = {
+  isConfigured: (config) => Boolean(config.botToken && config.chatId),
+
+  buildRequest(config, digest) {
+    const { t, totals, releases, topPrs } = getDigestLines(digest)
+    const markup = { link: (url, text) => `<a href="${escapeMarkup(url)}">${escapeMarkup(text)}</a>`, escape: escapeMarkup }
+    const sections = [`<b>🦞 ${escapeMarkup(digest.title)}</b>`, escapeMarkup(totals)]
+    if (releases.length > 0) sections.push(`<b>${t.notifyReleases}</b>\n${renderLines(releases, markup)}`)
+    if (topPrs.length > 0) sections.push(`<b>${t.notifyTopPrs}</b>\n${renderLines(topPrs, markup)}`)
+    sections.push(`<a href="${digest.url}">${t.notifyReadMore} →</a>`)
+
+    return jsonRequest(`${config.apiBase.replace(/\/$/, '')}/bot${config.botToken}/sendMessage`, {
+      chat_id: config.chatId,
+      text: sections.join('\n\n'),
+      parse_mode: 'HTML',
+      link_preview_options: { is_disabled: true }
+    })
+  },
+
+  getError(status, result) {
+    return result?.ok === true ? null : result?.description || (status >= 200 && status < 300 ? '响应中没有 ok: true' : null)
+  }
+}
+
+const CHANNELS = { slack, discord, feishu, telegram }
+
+/**
+ * 根据配置项找到对应的渠道实现
+ */
+export function getChannel(config) {
+  return CHANNELS[config.type || config.name] || null
+}
+
+/**
+ * 列出所有已配置好的通知目标
+ */
+export function listConfiguredTargets(targetConfigs) {
+  return targetConfigs.filter(config => getChannel(config)?.isConfigured(config))
+}
+
+/**
+ * 隐藏地址中的路径和参数（Webhook 地址和 Bot Token 都是密钥），只保留协议和主机用于日志
+ */
+export function maskUrl(url) {
+  try {
+    return `${new URL(url).origin}/…`
+  } catch {
+    return '(无效的地址)'
+  }
+}
+
+/**
+ * 向一个目标发送通知；请求失败或渠道返回错误时抛出 NotifyError
+ *
+ * @param {object} config CONFIG.notify.targets 中的一项
+ * @param {object} digest 本期摘要
+ * @param {{ timeout?: number }} [options] timeout 为请求超时（毫秒）
+ */
+export async function sendNotification(config, digest, { timeout } = {}) {
+  const channel = getChannel(config)
+  if (!channel) {
+    throw new NotifyError(`未知的通知渠道: ${config.type || config.name}`, { target: config.name })
+  }
+
+  const { url, init } = channel.buildRequest(config, digest)
+
+  let response
+  try {
+    response = await fetch(url, timeout ? { ...init, signal: AbortSignal.timeout(timeout) } : init)
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `超时（${timeout / 1000} 秒）` : error.message
+    throw new NotifyError(`${config.name} 请求失败: ${message}`, { target: config.name, cause: error })
+  }
+
+  const body = await response.text()
+  let result = null
+  try {
+    result = body ? JSON.parse(body) : null
+  } catch {
+    // Slack 等返回纯文本，按状态码判断
+  }
+
+  const detail = channel.getError(response.status, result)
+  if (!response.ok || detail) {
+    throw new NotifyError(`${config.name} 返回错误 ${response.status}: ${detail || body.slice(0, 200) || response.statusText}`, {
+      target: config.name,
+      status: response.status
+    })
+  }
+}
+
+/**
+ * 向所有目标发送通知，某个目标失败不影响其他目标
+ * dryRun 时只打印每个目标将要发送的地址（隐藏密钥）和消息内容
+ *
+ * @param {object} digest 本期摘要
+ * @param {object[]} targetConfigs 已配置好的通知目标
+ * @param {{ dryRun?: boolean, timeout?: number }} [options]
+ * @returns {Promise<{ target: string, ok: boolean, error?: string }[]>}
+ */
+export async function sendNotifications(digest, targetConfigs, { dryRun = false, timeout } = {}) {
+  const results = []
+  for (const config of targetConfigs) {
+    if (dryRun) {
+      const { url, init } = getChannel(config).buildRequest(config, digest)
+      console.log(`📣 [dry-run] ${config.name} → ${maskUrl(url)}\n${JSON.stringify(JSON.parse(init.body), null, 2)}`)
+      results.push({ target: config.name, ok: true })
+      continue
+    }
+
+    try {
+      await sendNotification(config, digest, { timeout })
+      results.push({ target: config.name, ok: true })
+    } catch (error) {
+      results.push({ target: config.name, ok: false, error: error.message })
+    }
+  }
+  return results
+}
@@ -0,0 +1,163 @@
+/**
+ * 统计周期
+ * 按配置的时区计算每期的起止时间：第 1 期从 startDate 当天（该时区的 0 点）开始，之后按 cadence 依次排列，
+ * 支持每周（weekly）、每两周（biweekly）和按自然月（monthly）
+ *
+ * 周期是闭区间 [start, end]，end 为下一期开始前的最后 1 毫秒。搜索查询、标题、侧边栏和数据索引使用同一个范围，
+ * 显示的结束日期是 end 在该时区的日期，因此周一开始的周报显示为「3月2日-3月8日」，与下一期不重叠
+ */
+
+export const DEFAULT_TIME_ZONE = 'Asia/Shanghai'
+export const CADENCES = ['weekly', 'biweekly', 'monthly']
+
+const DAY = 24 * 60 * 60 * 1000
+const CADENCE_DAYS = { weekly: 7, biweekly: 14 }
+
+// 按时区缓存 Intl.DateTimeFormat，创建开销较大
+const formatters = new Map()
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }))
+    } catch (error) {
+      throw new Error(`无效的时区: ${timeZone}`, { cause: error })
+    }
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * 时间在指定时区的日期和时刻，month 从 1 开始
+ *
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {}
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value)
+    }
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second }
+}
+
+/**
+ * 该时刻指定时区相对 UTC 的偏移（毫秒）
+ */
+function getOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone)
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return local - Math.floor(date.getTime() / 1000) * 1000
+}
+
+/**
+ * 指定时区某天 0 点对应的时间；month、day 超出范围时顺延（如 13 月为次年 1 月，3 月 32 日为 4 月 1 日）
+ */
+export function startOfZonedDay(year, month, day, timeZone = DEFAULT_TIME_ZONE) {
+  const utc = Date.UTC(year, month - 1, day)
+  // 先按 UTC 0 点的偏移估算，再按估算结果处的偏移修正一次（夏令时切换当天两者不同）
+  const estimate = utc - getOffset(new Date(utc), timeZone)
+  return new Date(utc - getOffset(new Date(estimate), timeZone))
+}
+
+/**
+ * 解析 YYYY-MM-DD 格式的日期，格式不对时返回 null
+ */
+export function parseDay(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!match) return null
+
+  const [year, month, day] = match.slice(1).map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+  return { year, month, day }
+}
+
+/**
+ * 时间在指定时区的日期，格式为 YYYY-MM-DD
+ */
+export function formatISODay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+function parseSchedule({ startDate, cadence = 'weekly', timeZone = DEFAULT_TIME_ZONE }) {
+  const base = parseDay(startDate)
+  if (!base) {
+    throw new Error(`第1期的开始日期格式应为 YYYY-MM-DD: ${startDate}`)
+  }
+  if (!CADENCES.includes(cadence)) {
+    throw new Error(`不支持的周期: ${cadence}（可选: ${CADENCES.join(', ')}）`)
+  }
+  getFormatter(timeZone) // 时区无效时报错
+  return { base, cadence, timeZone }
+}
+
+/**
+ * 第 number 期的统计周期
+ *
+ * @param {number} number 期数，从 1 开始
+ * @param {object} schedule
+ * @param {string} schedule.startDate 第 1 期开始的日期（YYYY-MM-DD）；monthly 时从该日期所在月份的 1 日开始
+ * @param {string} [schedule.cadence] weekly / biweekly / monthly
+ * @param {string} [schedule.timeZone] IANA 时区，默认 Asia/Shanghai
+ * @returns {{ start: Date, end: Date, timeZone: string, cadence: string }}
+ */
+export function getPeriod(number, schedule) {
+  const { base, cadence, timeZone } = parseSchedule(schedule)
+  const startOf = (n) => cadence === 'monthly'
+    ? startOfZonedDay(base.year, base.month + n - 1, 1, timeZone)
+    : startOfZonedDay(base.year, base.month, base.day + (n - 1) * CADENCE_DAYS[cadence], timeZone)
+
+  return {
+    start: startOf(number),
+    end: new Date(startOf(number + 1).getTime() - 1),
+    timeZone,
+    cadence
+  }
+}
+
+/**
+ * 时间所在的期数（getPeriod 的反向计算），早于第 1 期时小于 1
+ */
+export function getPeriodNumber(date, schedule) {
+  const { base, cadence, timeZone } = parseSchedule(schedule)
+  const { year, month, day } = getZonedParts(date, timeZone)
+
+  if (cadence === 'monthly') {
+    return (year - base.year) * 12 + month - base.month + 1
+  }
+  const days = (Date.UTC(year, month - 1, day) - Date.UTC(base.year, base.month - 1, base.day)) / DAY
+  return Math.floor(days / CADENCE_DAYS[cadence]) + 1
+}
+
+/**
+ * 按日期指定的统计周期，from、to 为 YYYY-MM-DD，两天都包含在内
+ *
+ * @returns {{ start: Date, end: Date, timeZone: string }}
+ */
+export function getDayRange(from, to, timeZone = DEFAULT_TIME_ZONE) {
+  const [first, last] = [from, to].map(value => {
+    const day = parseDay(value)
+    if (!day) {
+      throw new Error(`日期格式应为 YYYY-MM-DD: ${value}`)
+    }
+    return day
+  })
+
+  return {
+    start: startOfZonedDay(first.year, first.month, first.day, timeZone),
+    end: new Date(startOfZonedDay(last.year, last.month, last.day + 1, timeZone).getTime() - 1),
+    timeZone
+  }
+}
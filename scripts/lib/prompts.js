@@ -0,0 +1,101 @@
+/**
+ * AI 提示词模板
+ * 模板是带 front matter 的 Markdown 文件（prompts/<语言>/<名称>.md），正文中用 {{变量名}} 引用变量：
+ *
+ *   ---
+ *   version: 1
+ *   description: Pull Request 动向分析
+ *   ---
+ *   请分析 data_content 中的 {{projectName}} 仓库 Pull Request 信息...
+ *
+ * 自定义模板目录只需包含要覆盖的文件，其余模板使用默认目录中的版本。
+ * 自定义目录下有对应语言的子目录（如 my-prompts/en/）时使用子目录，否则直接使用该目录
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+
+export const PROMPT_NAMES = ['system', 'releases', 'prs', 'issues', 'commits', 'chunk-map', 'chunk-merge']
+
+/**
+ * 解析 front matter（只支持简单的 key: value）
+ */
+function parseTemplate(source, filePath) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/)
+  if (!match) {
+    throw new Error(`提示词模板缺少 front matter: ${filePath}`)
+  }
+
+  const meta = {}
+  match[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^(\w+):\s*(.*)$/)
+    if (field) {
+      meta[field[1]] = field[2].trim()
+    }
+  })
+
+  if (!meta.version) {
+    throw new Error(`提示词模板缺少 version 字段: ${filePath}`)
+  }
+
+  return { ...meta, body: match[2].trim(), file: filePath }
+}
+
+async function readTemplate(dir, name) {
+  const filePath = path.join(dir, `${name}.md`)
+  try {
+    return parseTemplate(await fs.readFile(filePath, 'utf8'), filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+async function resolveCustomDir(customDir, lang) {
+  const langDir = path.join(customDir, lang)
+  try {
+    return (await fs.stat(langDir)).isDirectory() ? langDir : customDir
+  } catch {
+    return customDir
+  }
+}
+
+/**
+ * 加载指定语言的全部提示词模板，customDir 中的同名文件优先
+ */
+export async function loadPromptTemplates(baseDir, lang, customDir = null) {
+  const templates = {}
+  const defaultDir = path.join(baseDir, lang)
+  customDir = customDir && await resolveCustomDir(customDir, lang)
+
+  for (const name of PROMPT_NAMES) {
+    const template = (customDir && await readTemplate(customDir, name)) || await readTemplate(defaultDir, name)
+    if (!template) {
+      throw new Error(`找不到提示词模板 ${name}.md（目录: ${[customDir, defaultDir].filter(Boolean).join(', ')}）`)
+    }
+    templates[name] = template
+  }
+
+  return templates
+}
+
+/**
+ * 渲染模板，数组变量用 listSeparator 连接；未提供的变量会给出警告并替换为空
+ */
+export function renderTemplate(template, variables, { listSeparator = '、' } = {}) {
+  return template.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    const value = variables[name]
+    if (value === undefined || value === null) {
+      console.warn(`⚠️ 提示词模板 ${template.file} 中的变量 ${name} 没有提供`)
+      return ''
+    }
+    return Array.isArray(value) ? value.join(listSeparator) : String(value)
+  })
+}
+
+/**
+ * 各模板的版本，用于记录到输出中
+ */
+export function getTemplateVersions(templates) {
+  return Object.fromEntries(Object.entries(templates).map(([name, template]) => [name, template.version]))
+}
@@ -0,0 +1,170 @@
+/**
+ * 版本发布说明解析
+ * 按 ### Breaking / ### Changes / ### Fixes 等标题把发布说明拆成结构化条目，记录每条引用的 PR 编号；
+ * 同一周内的预发布版本（如 v2026.3.7-beta.1）合并到对应的正式版本（v2026.3.7）下，条目去重后生成更新摘要
+ *
+ * 发布说明的格式：
+ *
+ *   ### Changes
+ *   - Telegram/ACP: add topic thread bindings. (#12345) Thanks @someone.
+ *   ### Fixes
+ *   - Gateway: fix reconnect loop (#12346)
+ */
+
+// 分节顺序即摘要中的显示顺序，标题按小写匹配
+export const RELEASE_SECTIONS = ['breaking', 'changes', 'fixes']
+
+const SECTION_TITLES = {
+  breaking: ['breaking', 'breaking changes', 'breaking change'],
+  changes: ['changes', 'features', 'new features', 'added', 'improvements', 'enhancements'],
+  fixes: ['fixes', 'bug fixes', 'fixed', 'bugfixes']
+}
+
+const HEADING = /^#{2,4}\s+(.+?)\s*#*\s*$/
+const LIST_ITEM = /^\s{0,3}[-*+]\s+(.*)$/
+const PRERELEASE_SUFFIX = /-(?:alpha|beta|rc|pre|preview|canary|next)(?:[.-]?\d+)*$/i
+
+/**
+ * 标题对应的分节，不认识的标题返回 null（其下的条目不计入摘要）
+ */
+function getSection(title) {
+  const normalized = title.replace(/[*_`:]/g, '').replace(/^[^\w]+/, '').trim().toLowerCase()
+  return RELEASE_SECTIONS.find(section => SECTION_TITLES[section].includes(normalized)) || null
+}
+
+/**
+ * 条目中引用的 PR 编号（#1234 或 .../pull/1234），按出现顺序去重
+ */
+export function getPullRequestNumbers(text) {
+  const numbers = [...text.matchAll(/(?:^|[^\w&])#(\d+)\b|\/pull\/(\d+)\b/g)].map(match => Number(match[1] || match[2]))
+  return [...new Set(numbers)]
+}
+
+/**
+ * 解析一条发布说明
+ *
+ * @param {string|null} body 发布说明（Markdown）
+ * @returns {{ breaking: object[], changes: object[], fixes: object[] }} 各分节的条目 { text, prs }
+ */
+export function parseReleaseNotes(body) {
+  const notes = Object.fromEntries(RELEASE_SECTIONS.map(section => [section, []]))
+  let section = null
+  let current = null
+
+  const finish = () => {
+    if (!current) return
+    const text = current.join(' ').replace(/\s+/g, ' ').trim()
+    // Changes 中以 BREAKING 开头的条目也归入 Breaking
+    const target = section !== 'breaking' && /^\**breaking\b/i.test(text) ? 'breaking' : section
+    if (text) {
+      notes[target].push({ text, prs: getPullRequestNumbers(text) })
+    }
+    current = null
+  }
+
+  for (const line of (body || '').split(/\r?\n/)) {
+    const heading = line.match(HEADING)
+    if (heading) {
+      finish()
+      section = getSection(heading[1])
+      continue
+    }
+    if (!section) continue
+
+    const item = line.match(LIST_ITEM)
+    if (item) {
+      finish()
+      current = [item[1]]
+    } else if (current && line.trim()) {
+      // 缩进的续行属于上一条
+      current.push(line.trim())
+    } else {
+      finish()
+    }
+  }
+  finish()
+
+  return notes
+}
+
+/**
+ * 预发布版本对应的正式版本标签，例如 v2026.3.7-beta.1 → v2026.3.7；正式版本原样返回
+ */
+export function getStableTag(tagName) {
+  return tagName.replace(PRERELEASE_SUFFIX, '')
+}
+
+/**
+ * 用于去重的条目文本：去掉 PR 引用、致谢和标点差异
+ */
+function getEntryKey(entry) {
+  return entry.text
+    .toLowerCase()
+    .replace(/\s*thanks\s+@[\w-]+(?:\s*(?:,|and)\s*@[\w-]+)*\.?/g, '')
+    .replace(/\[?#\d+\]?(?:\([^)]*\))?|https?:\/\/\S+/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+/**
+ * 合并多条发布说明的条目并去重：文本相同的条目，或与之前的发布说明引用的 PR 完全相同的条目只保留一条
+ * （先出现的优先）；已经出现在 Breaking 中的条目不再出现在其他分节
+ */
+export function mergeReleaseNotes(notesList) {
+  const merged = Object.fromEntries(RELEASE_SECTIONS.map(section => [section, []]))
+  const seenTexts = new Set()
+  const seenPrs = new Map() // PR 编号组合 → 首次出现在第几条发布说明
+
+  for (const section of RELEASE_SECTIONS) {
+    notesList.forEach((notes, index) => {
+      for (const entry of notes[section] || []) {
+        const key = getEntryKey(entry)
+        const prsKey = entry.prs.length > 0 ? [...entry.prs].sort((a, b) => a - b).join(',') : null
+        if (seenTexts.has(key) || (prsKey && seenPrs.has(prsKey) && seenPrs.get(prsKey) !== index)) continue
+
+        seenTexts.add(key)
+        if (prsKey && !seenPrs.has(prsKey)) seenPrs.set(prsKey, index)
+        merged[section].push(entry)
+      }
+    })
+  }
+
+  return merged
+}
+
+/**
+ * 把本周的版本发布按正式版本分组：预发布版本归入同一周内的正式版本，
+ * 没有对应正式版本的预发布版本按各自的正式版本标签单独成组（以最新的预发布版本为代表）
+ *
+ * @param {object[]} releases 本周的版本发布（weeklyData.releases），按发布时间倒序
+ * @returns {object[]} 分组 { tagName, name, publishedAt, url, prerelease, prereleases, notes }，
+ *   prereleases 为归入该组的预发布版本标签，notes 为合并去重后的条目
+ */
+export function groupReleases(releases) {
+  const groups = new Map()
+
+  for (const release of releases) {
+    const stableTag = getStableTag(release.tagName)
+    if (!groups.has(stableTag)) {
+      groups.set(stableTag, [])
+    }
+    groups.get(stableTag).push(release)
+  }
+
+  return [...groups.entries()].map(([stableTag, members]) => {
+    const byNewest = [...members].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+    const stable = byNewest.find(release => release.tagName === stableTag)
+    const lead = stable || byNewest[0]
+    const others = byNewest.filter(release => release !== lead)
+
+    return {
+      tagName: lead.tagName,
+      name: lead.name,
+      publishedAt: lead.publishedAt,
+      url: lead.url,
+      prerelease: !stable,
+      prereleases: others.map(release => release.tagName),
+      notes: mergeReleaseNotes([lead, ...others].map(release => release.notes || parseReleaseNotes(release.body)))
+    }
+  }).sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+}
@@ -0,0 +1,103 @@
+/**
+ * 按时间窗口拆分的搜索
+ * GitHub 搜索（REST 与 GraphQL 相同）单次查询最多只能取回 1000 条结果，
+ * 超出时把 created（或 closed 等）时间窗口对半拆分后分别获取
+ */
+
+import { parseLinkHeader } from './github-client.js'
+
+export const SEARCH_RESULT_LIMIT = 1000
+
+/**
+ * 格式化为搜索语法可用的时间（精确到秒）
+ */
+export function toSearchTimestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+/**
+ * 在 [since, until] 窗口内搜索，结果超过上限时递归拆分
+ *
+ * @param {(range: string) => Promise<{ totalCount: number, items: object[], fetchRest: () => Promise<object[]> }>} searchWindow
+ *   执行一次搜索：返回总数、首页结果，以及获取剩余分页的方法
+ * @param {string} qualifier 按哪个时间字段划分窗口（created、closed 等）
+ */
+async function searchInWindow(since, until, searchWindow, qualifier) {
+  const range = `${qualifier}:${toSearchTimestamp(since)}..${toSearchTimestamp(until)}`
+  const firstPage = await searchWindow(range)
+  const windowMs = until.getTime() - since.getTime()
+
+  // 结果超过上限且窗口还能继续拆分（最小粒度为秒）时，拆成两个更小的窗口
+  if (firstPage.totalCount > SEARCH_RESULT_LIMIT && windowMs >= 2000) {
+    const mid = new Date(Math.floor((since.getTime() + windowMs / 2) / 1000) * 1000)
+    const left = await searchInWindow(since, mid, searchWindow, qualifier)
+    const right = await searchInWindow(new Date(mid.getTime() + 1000), until, searchWindow, qualifier)
+
+    return {
+      totalCount: left.totalCount + right.totalCount,
+      items: [...left.items, ...right.items]
+    }
+  }
+
+  if (firstPage.totalCount > SEARCH_RESULT_LIMIT) {
+    console.warn(`⚠️ 时间窗口 ${toSearchTimestamp(since)} 内结果超过 ${SEARCH_RESULT_LIMIT} 条，只能获取前 ${SEARCH_RESULT_LIMIT} 条`)
+  }
+
+  const rest = await firstPage.fetchRest()
+  return { totalCount: firstPage.totalCount, items: [...firstPage.items, ...rest] }
+}
+
+/**
+ * 获取统计周期 [since, until] 内的全部搜索结果，按精确到秒的时间查询，与周期的边界一致（见 lib/periods.js）
+ */
+export async function searchAllInRange(since, until, searchWindow, { qualifier = 'created' } = {}) {
+  const result = await searchInWindow(since, until, searchWindow, qualifier)
+
+  // 拆分窗口和翻页期间数据可能发生变动，按编号去重
+  const uniqueItems = [...new Map(result.items.map(item => [item.number, item])).values()]
+
+  return { totalCount: result.totalCount, items: uniqueItems }
+}
+
+/**
+ * 通过 REST Search API 获取指定时间范围内全部的 Issue/PR 搜索结果
+ *
+ * @param {object} github GitHub 客户端
+ * @param {string} baseQuery 不含时间范围的查询，如 repo:openclaw/openclaw type:pr
+ * @param {object} options
+ * @param {string} options.qualifier 时间范围对应的字段，默认按创建时间
+ * @param {string} options.sort 排序字段
+ * @param {number} options.perPage 每页条数
+ */
+export async function searchAllIssues(github, baseQuery, since, until, { qualifier = 'created', sort = 'created', perPage = 100 } = {}) {
+  return searchAllInRange(since, until, async (range) => {
+    const query = `${baseQuery} ${range}`
+    const firstPage = await github.requestPage('/search/issues', {
+      q: query,
+      per_page: perPage,
+      sort,
+      order: 'desc'
+    })
+
+    if (firstPage.data.incomplete_results) {
+      console.warn(`⚠️ Search API 返回的结果不完整: ${query}`)
+    }
+
+    return {
+      totalCount: firstPage.data.total_count || 0,
+      items: firstPage.data.items,
+      fetchRest: async () => {
+        const items = []
+        let nextUrl = parseLinkHeader(firstPage.headers.get('link')).next
+
+        while (nextUrl) {
+          const page = await github.requestPage(nextUrl)
+          items.push(...page.data.items)
+          nextUrl = parseLinkHeader(page.headers.get('link')).next
+        }
+
+        return items
+      }
+    }
+  }, { qualifier })
+}
@@ -0,0 +1,63 @@
+/**
+ * PR 重要性评分
+ * 综合合并状态、改动行数、评论和 Review 数、点赞、标签（breaking / security 等）
+ * 以及是否出现在本周的版本发布说明中，得分最高的 PR 作为「重要PR」展示
+ *
+ * 各项得分 = 权重 × 数量（评论、Review、点赞有上限，改动行数取 log10），权重在 CONFIG.significance 中配置
+ */
+
+import { parseConventionalTitle } from './categorize.js'
+
+/**
+ * 找出版本发布说明中引用的 PR 编号（#1234 或 .../pull/1234）
+ */
+export function getReleaseReferences(releases) {
+  const numbers = new Set()
+  releases.forEach(release => {
+    for (const match of (release.body || '').matchAll(/(?:#|\/pull\/)(\d+)\b/g)) {
+      numbers.add(Number(match[1]))
+    }
+  })
+  return numbers
+}
+
+/**
+ * 计算单个 PR 的得分
+ *
+ * @returns {{ total: number, parts: Record<string, number> }} parts 为各项得分，用于调试输出
+ */
+export function scorePullRequest(pr, { weights, labelWeights = {}, caps = {}, releaseReferences = new Set() }) {
+  const capped = (value, cap) => Math.min(value || 0, cap ?? Infinity)
+  const linesChanged = (pr.additions || 0) + (pr.deletions || 0)
+
+  // 标签按最高的一个计分；标题带 ! 的 Conventional Commits（如 feat!:）视为 breaking
+  const labels = (pr.labels || []).map(label => label.toLowerCase())
+  if (parseConventionalTitle(pr.title)?.breaking) {
+    labels.push('breaking')
+  }
+  const labelScore = Math.max(0, ...labels.map(label => labelWeights[label] || 0))
+
+  const parts = {
+    merged: pr.mergedAt ? weights.merged : 0,
+    lines: weights.lines * Math.log10(linesChanged + 1),
+    comments: weights.comments * capped(pr.comments, caps.comments),
+    reviews: weights.reviews * capped(pr.reviews?.total, caps.reviews),
+    reactions: weights.reactions * capped(pr.reactions, caps.reactions),
+    labels: labelScore,
+    release: releaseReferences.has(pr.number) ? weights.release : 0
+  }
+
+  const total = Object.values(parts).reduce((acc, value) => acc + value, 0)
+  return { total: Math.round(total * 10) / 10, parts }
+}
+
+/**
+ * 按得分从高到低排列 PR，得分相同时较新的在前
+ *
+ * @returns {{ pr: object, score: { total: number, parts: Record<string, number> } }[]}
+ */
+export function rankPullRequests(prs, options) {
+  return prs
+    .map(pr => ({ pr, score: scorePullRequest(pr, options) }))
+    .sort((a, b) => b.score.total - a.score.total || new Date(b.pr.createdAt) - new Date(a.pr.createdAt))
+}
@@ -0,0 +1,96 @@
+/**
+ * 周数据快照
+ * 保存每期的原始 weeklyData 和 AI 分析结果，用于离线重新生成历史周报
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+
+// 快照格式版本，结构发生变化时递增
+//   1  weeklyData、analyses、promptVersions、trendHistory
+//   2  weeklyData 中每个仓库增加 contributors（贡献者）和 health（项目健康度）
+export const SNAPSHOT_VERSION = 2
+
+/**
+ * 快照文件路径（snapshots/NN.json）
+ */
+export function getSnapshotPath(snapshotDir, weekNumber) {
+  return path.join(snapshotDir, `${weekNumber.toString().padStart(2, '0')}.json`)
+}
+
+/**
+ * 保存快照
+ *
+ * @param {string} snapshotDir 快照目录
+ * @param {number} weekNumber 期数
+ * @param {object} snapshot
+ * @param {{ start: Date, end: Date }} snapshot.period 统计周期
+ * @param {object[]} snapshot.weeklyData 各仓库的原始周数据
+ * @param {Record<string, string|null>} snapshot.analyses AI 分析结果，按分析位置的 key 索引（含各语言）
+ * @param {Record<string, Record<string, string>>|null} [snapshot.promptVersions] 各语言生成分析时使用的提示词模板版本
+ * @param {object[]|null} [snapshot.trendHistory] 生成趋势对比时使用的各期指标
+ * @param {string} [snapshot.createdAt] 数据收集时间，只补充其他语言的分析时沿用原快照的时间
+ */
+export async function saveSnapshot(snapshotDir, weekNumber, { period, weeklyData, analyses, promptVersions = null, trendHistory = null, createdAt = new Date().toISOString() }) {
+  const snapshotPath = getSnapshotPath(snapshotDir, weekNumber)
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    weekNumber: Number(weekNumber),
+    createdAt,
+    period,
+    weeklyData,
+    analyses,
+    promptVersions,
+    trendHistory
+  }
+
+  await fs.mkdir(snapshotDir, { recursive: true })
+  await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2) + '\n', 'utf8')
+
+  return snapshotPath
+}
+
+/**
+ * 快照存在时读取，不存在时返回 null
+ */
+export async function findSnapshot(snapshotDir, weekNumber) {
+  try {
+    await fs.access(getSnapshotPath(snapshotDir, weekNumber))
+  } catch {
+    return null
+  }
+  return loadSnapshot(snapshotDir, weekNumber)
+}
+
+/**
+ * 读取快照，并把 JSON 中的周期时间还原为 Date
+ */
+export async function loadSnapshot(snapshotDir, weekNumber) {
+  const snapshotPath = getSnapshotPath(snapshotDir, weekNumber)
+
+  let snapshot
+  try {
+    snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'))
+  } catch (error) {
+    throw new Error(`无法读取第${weekNumber}期快照 ${snapshotPath}: ${error.message}`, { cause: error })
+  }
+
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`第${weekNumber}期快照版本为 ${snapshot.version}，当前生成器只支持到 ${SNAPSHOT_VERSION}`)
+  }
+
+  const revivePeriod = (period) => ({ ...period, start: new Date(period.start), end: new Date(period.end) })
+
+  return {
+    ...snapshot,
+    period: revivePeriod(snapshot.period),
+    // 版本 1 的快照没有贡献者和健康度，周报中省略这两部分
+    weeklyData: snapshot.weeklyData.map(data => ({
+      ...data,
+      contributors: data.contributors ?? null,
+      health: data.health ?? null,
+      period: revivePeriod(data.period)
+    })),
+    analyses: snapshot.analyses || {}
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * 大输入的分块汇总（map-reduce）
+ * 先把每条数据精简到分析需要的字段，再按 AI 服务的上下文预算切分成多批，
+ * 每批单独概括（map），最后把各批的概括合并成一份分析（reduce）
+ */
+
+// 没有为 AI 服务配置预算时使用的默认输入上限
+const DEFAULT_MAX_INPUT_TOKENS = 8000
+// 系统提示词、消息格式等额外开销的预留
+const PROMPT_OVERHEAD_TOKENS = 500
+// reduce 阶段概括本身仍然超出预算时，最多再合并的层数
+const MAX_REDUCE_DEPTH = 3
+
+// 各分析类型保留的字段
+const FIELD_PICKERS = {
+  releases: release => ({
+    tagName: release.tagName,
+    name: release.name,
+    prerelease: release.prerelease,
+    body: release.body
+  }),
+  prs: pr => ({
+    number: pr.number,
+    title: pr.title,
+    state: pr.mergedAt ? 'merged' : pr.state,
+    user: pr.user,
+    ...(pr.labels?.length ? { labels: pr.labels } : {})
+  }),
+  issues: issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    reactions: issue.reactions,
+    ...(issue.labels?.length ? { labels: issue.labels } : {})
+  }),
+  commits: commit => ({
+    sha: commit.sha,
+    message: commit.message,
+    author: commit.author
+  })
+}
+
+/**
+ * 粗略估算 token 数：中日韩字符按每字 1 个，其余按每 4 个字符 1 个
+ */
+export function estimateTokens(text) {
+  const cjkCount = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4)
+}
+
+/**
+ * 把数据精简为分析需要的字段
+ */
+export function compactItems(items, analysisType) {
+  const picker = FIELD_PICKERS[analysisType]
+  const list = Array.isArray(items) ? items : [items]
+  return picker ? list.map(picker) : list
+}
+
+/**
+ * 计算分块预算：取所有可用 AI 服务中最小的输入上限，保证降级到任何一个服务时都能处理
+ * 服务配置中可以设置 maxInputTokens（模型上下文）和 maxInputChars（如 Dify 的字段长度限制）
+ */
+export function getChunkBudget(providerConfigs, prompt) {
+  const reserved = estimateTokens(prompt) + PROMPT_OVERHEAD_TOKENS
+  const maxTokens = Math.min(...providerConfigs.map(config => config.maxInputTokens || DEFAULT_MAX_INPUT_TOKENS))
+  const maxChars = Math.min(...providerConfigs.map(config => config.maxInputChars || Infinity))
+
+  return { maxTokens: Math.max(maxTokens - reserved, 1000), maxChars }
+}
+
+function fitsBudget(value, budget) {
+  const json = JSON.stringify(value)
+  return estimateTokens(json) <= budget.maxTokens && json.length <= budget.maxChars
+}
+
+/**
+ * 单条数据本身超出预算时（如很长的 Release 说明），按行截短其中最长的文本字段
+ */
+function shrinkItem(item, budget) {
+  if (typeof item !== 'object' || item === null) {
+    return String(item).substring(0, Math.min(budget.maxChars, budget.maxTokens))
+  }
+
+  const shrunk = { ...item }
+  const longestKey = Object.keys(shrunk)
+    .filter(key => typeof shrunk[key] === 'string')
+    .sort((a, b) => shrunk[b].length - shrunk[a].length)[0]
+
+  if (!longestKey) return shrunk
+
+  let lines = shrunk[longestKey].split('\n')
+  while (lines.length > 1 && !fitsBudget({ ...shrunk, [longestKey]: lines.join('\n'), truncated: true }, budget)) {
+    lines = lines.slice(0, Math.floor(lines.length * 0.8))
+  }
+
+  shrunk[longestKey] = lines.join('\n')
+  shrunk.truncated = true
+  return shrunk
+}
+
+/**
+ * 按预算把数据切分成多批，每批序列化后都是完整的 JSON
+ */
+export function chunkItems(items, budget) {
+  const chunks = []
+  let current = []
+
+  for (const rawItem of items) {
+    const item = fitsBudget([rawItem], budget) ? rawItem : shrinkItem(rawItem, budget)
+
+    if (current.length > 0 && !fitsBudget([...current, item], budget)) {
+      chunks.push(current)
+      current = []
+    }
+    current.push(item)
+  }
+
+  if (current.length > 0) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+/**
+ * 分块汇总
+ * 数据在预算以内时直接用原提示词分析一次；否则先逐批概括，再把概括交给原提示词生成最终分析
+ *
+ * @param {object} options
+ * @param {any[]} options.items 待分析数据
+ * @param {string} options.analysisType 分析类型
+ * @param {string} options.prompt 最终分析的提示词
+ * @param {{ maxTokens: number, maxChars: number }} options.budget 每批数据的预算
+ * @param {object} options.chunkPrompts 分批时使用的提示词（来自 chunk-map / chunk-merge 模板）
+ * @param {(chunkIndex: number, chunkCount: number, totalCount: number) => string} options.chunkPrompts.map 单批概括
+ * @param {() => string} options.chunkPrompts.merge 合并各批概括
+ * @param {(prompt: string, data: any) => Promise<string|null>} options.call 调用 AI，失败时返回 null
+ */
+export async function summarizeInChunks({ items, analysisType, prompt, budget, chunkPrompts, call }) {
+  const compacted = compactItems(items, analysisType)
+  const chunks = chunkItems(compacted, budget)
+
+  if (chunks.length <= 1) {
+    return call(prompt, chunks[0] || [])
+  }
+
+  console.log(`🧩 ${analysisType} 数据共 ${compacted.length} 条，分 ${chunks.length} 批汇总...`)
+
+  // map：逐批概括
+  let summaries = []
+  for (const [index, chunk] of chunks.entries()) {
+    const summary = await call(chunkPrompts.map(index + 1, chunks.length, compacted.length), chunk)
+    if (summary) {
+      summaries.push(summary)
+    }
+  }
+
+  if (summaries.length === 0) return null
+  if (summaries.length < chunks.length) {
+    console.warn(`⚠️ ${chunks.length} 批中有 ${chunks.length - summaries.length} 批概括失败，最终分析只基于其余批次`)
+  }
+
+  // 概括合起来仍然超出预算时，先分批合并
+  for (let depth = 0; depth < MAX_REDUCE_DEPTH && !fitsBudget(summaries, budget); depth++) {
+    const merged = []
+    for (const group of chunkItems(summaries, budget)) {
+      const summary = await call(chunkPrompts.merge(), group)
+      if (summary) {
+        merged.push(summary)
+      }
+    }
+    if (merged.length === 0) return null
+    summaries = merged
+  }
+
+  // reduce：基于全部概括生成最终分析
+  return call(prompt, { totalCount: compacted.length, batchSummaries: summaries })
+}
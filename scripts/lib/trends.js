@@ -0,0 +1,87 @@
+/**
+ * 周环比趋势
+ * 把本期和前几期的关键指标放在一起，计算变化量、变化率，并标记大幅波动
+ */
+
+import { excludeSubProjects } from './weekly-config.js'
+
+export const TREND_METRICS = ['commits', 'prs', 'issues', 'releases', 'stars']
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█']
+
+/**
+ * 从一期的 weeklyData 中提取各指标（所有仓库合计，同一仓库的子目录条目不重复计入）
+ * stars 是收集数据时的仓库总星数，历史数据中没有时为 null
+ */
+export function getWeekMetrics(allData) {
+  const weeklyData = excludeSubProjects(allData, data => data.repo)
+  const stars = weeklyData.map(data => data.info?.stars)
+
+  return {
+    commits: weeklyData.reduce((acc, data) => acc + data.commits.total, 0),
+    prs: weeklyData.reduce((acc, data) => acc + data.prs.total, 0),
+    issues: weeklyData.reduce((acc, data) => acc + data.issues.total, 0),
+    releases: weeklyData.reduce((acc, data) => acc + data.releases.length, 0),
+    stars: stars.every(count => typeof count === 'number') ? stars.reduce((acc, count) => acc + count, 0) : null
+  }
+}
+
+/**
+ * 用 ▁▂▃▄▅▆▇█ 画出一组数值的走势，缺失的数据显示为 ·
+ */
+export function renderSparkline(values) {
+  const known = values.filter(value => typeof value === 'number')
+  if (known.length === 0) return ''
+
+  const min = Math.min(...known)
+  const max = Math.max(...known)
+
+  return values.map(value => {
+    if (typeof value !== 'number') return '·'
+    if (max === min) return SPARK_CHARS[3]
+    return SPARK_CHARS[Math.round((value - min) / (max - min) * (SPARK_CHARS.length - 1))]
+  }).join('')
+}
+
+/**
+ * 计算趋势
+ *
+ * @param {{ weekNumber: number, metrics: object|null }[]} history 按期数升序排列的连续各期指标，最后一项为本期；
+ *   没有数据的期数 metrics 为 null
+ * @param {object} options
+ * @param {number} options.swingThreshold 变化率超过该比例（如 0.5 即 50%）时视为大幅波动
+ * @param {number} options.minSwingDelta 变化量小于该值时不标记，避免小数字上的波动
+ * @returns {{ currentWeek: number, previousWeek: number, weeks: number[], metrics: object[] }|null}
+ *   之前各期都没有数据时返回 null
+ */
+export function buildTrends(history, { swingThreshold = 0.5, minSwingDelta = 5 } = {}) {
+  if (!history.slice(0, -1).some(entry => entry.metrics)) return null
+
+  const current = history[history.length - 1]
+  const previous = history[history.length - 2]
+
+  const metrics = TREND_METRICS.map(metric => {
+    const currentValue = current.metrics[metric]
+    const previousValue = previous.metrics?.[metric]
+    const comparable = typeof currentValue === 'number' && typeof previousValue === 'number'
+    const delta = comparable ? currentValue - previousValue : null
+    const percent = comparable && previousValue !== 0 ? delta / previousValue : null
+
+    return {
+      metric,
+      current: currentValue ?? null,
+      previous: previousValue ?? null,
+      delta,
+      percent,
+      swing: delta !== null && Math.abs(delta) >= minSwingDelta && (percent === null || Math.abs(percent) >= swingThreshold),
+      series: history.map(entry => entry.metrics?.[metric] ?? null)
+    }
+  })
+
+  return {
+    currentWeek: current.weekNumber,
+    previousWeek: previous.weekNumber,
+    weeks: history.map(entry => entry.weekNumber),
+    metrics
+  }
+}
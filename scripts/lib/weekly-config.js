@@ -0,0 +1,146 @@
+/**
+ * 周报配置文件
+ * 跟踪的仓库、monorepo 子目录和显示名称写在项目根目录的 weekly.config.json（也可以是 weekly.config.yaml / .yml）中：
+ *
+ *   {
+ *     "repos": [
+ *       { "owner": "openclaw", "name": "openclaw", "displayName": "OpenClaw主仓库" },
+ *       { "owner": "openclaw", "name": "openclaw", "path": "extensions", "pathDisplayName": "扩展插件", "issueLabels": ["extensions"] },
+ *       { "owner": "openclaw", "name": "docs", "displayName": "OpenClaw文档", "enabled": false }
+ *     ]
+ *   }
+ *
+ * 带 path 的条目只统计改动了该目录的提交和 PR。Issue 和版本发布无法按目录区分：版本发布只计入整个仓库，
+ * Issue 只有配置了 issueLabels 时才按标签统计。同一仓库同时有整体条目时，子目录条目不计入合计
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import YAML from 'yaml'
+
+export const CONFIG_FILE_NAMES = ['weekly.config.json', 'weekly.config.yaml', 'weekly.config.yml']
+
+/**
+ * 在目录中查找配置文件，找不到时返回 null
+ */
+export async function findConfigFile(rootDir) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = path.join(rootDir, fileName)
+    try {
+      await fs.access(filePath)
+      return filePath
+    } catch {
+      // 继续查找下一个文件名
+    }
+  }
+  return null
+}
+
+/**
+ * 规范化子目录：去掉首尾的 / 和开头的 ./，空字符串视为整个仓库
+ */
+function normalizePath(value, where) {
+  if (value === undefined || value === null) return null
+  if (typeof value !== 'string') {
+    throw new Error(`${where}的 path 必须是字符串`)
+  }
+
+  const normalized = value.trim().replace(/^\.\//, '').replace(/^\/+|\/+$/g, '')
+  if (normalized.split('/').includes('..')) {
+    throw new Error(`${where}的 path 不能包含 ..: ${value}`)
+  }
+  return normalized || null
+}
+
+/**
+ * 校验并规范化一个仓库条目
+ */
+function normalizeRepo(entry, index, filePath) {
+  const where = `配置文件 ${filePath} 中的第 ${index + 1} 个仓库`
+  if (!entry || typeof entry.owner !== 'string' || typeof entry.name !== 'string') {
+    throw new Error(`${where}缺少 owner 或 name`)
+  }
+  if (entry.issueLabels !== undefined && !Array.isArray(entry.issueLabels)) {
+    throw new Error(`${where}的 issueLabels 必须是数组`)
+  }
+
+  return {
+    owner: entry.owner,
+    name: entry.name,
+    path: normalizePath(entry.path, where),
+    displayName: entry.displayName || null,
+    pathDisplayName: entry.pathDisplayName || null,
+    issueLabels: entry.issueLabels || [],
+    i18n: entry.i18n || {}
+  }
+}
+
+/**
+ * 读取配置文件，返回启用的仓库列表
+ *
+ * @param {string} filePath 配置文件路径（.json / .yaml / .yml）
+ * @returns {Promise<{ repos: object[] }>}
+ */
+export async function loadWeeklyConfig(filePath) {
+  const source = await fs.readFile(filePath, 'utf8')
+  let config
+  try {
+    config = /\.ya?ml$/i.test(filePath) ? YAML.parse(source) : JSON.parse(source)
+  } catch (error) {
+    throw new Error(`配置文件 ${filePath} 格式错误: ${error.message}`, { cause: error })
+  }
+
+  if (!Array.isArray(config?.repos)) {
+    throw new Error(`配置文件 ${filePath} 中缺少 repos 列表`)
+  }
+
+  const repos = config.repos
+    .map((entry, index) => entry?.enabled === false ? null : normalizeRepo(entry, index, filePath))
+    .filter(Boolean)
+
+  const keys = repos.map(repo => [repo.owner, repo.name, repo.path].filter(Boolean).join('/'))
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index)
+  if (duplicate) {
+    throw new Error(`配置文件 ${filePath} 中重复配置了 ${duplicate}`)
+  }
+  if (repos.length === 0) {
+    throw new Error(`配置文件 ${filePath} 中没有启用的仓库`)
+  }
+
+  return { repos }
+}
+
+/**
+ * 文件是否位于子目录中
+ */
+export function isInPath(filePath, dir) {
+  return filePath === dir || filePath.startsWith(`${dir}/`)
+}
+
+/**
+ * 是否为子目录条目，且同一仓库另有整体条目（此时不计入合计，避免重复统计）
+ *
+ * @param {{ owner: string, name: string, path?: string|null }} repo
+ * @param {{ owner: string, name: string, path?: string|null }[]} repos
+ */
+export function isSubProject(repo, repos) {
+  return Boolean(repo.path) && repos.some(other => !other.path && other.owner === repo.owner && other.name === repo.name)
+}
+
+/**
+ * 去掉计入合计时会重复的子目录条目
+ *
+ * @param {object[]} items 仓库条目或各仓库的周数据
+ * @param {(item: object) => object} getRepo 取出 { owner, name, path }
+ */
+export function excludeSubProjects(items, getRepo = item => item) {
+  const repos = items.map(getRepo)
+  return items.filter(item => !isSubProject(getRepo(item), repos))
+}
+
+/**
+ * Issue 搜索的标签条件，多个标签为「或」的关系；没有标签时返回空字符串
+ */
+export function getLabelQualifier(labels) {
+  return labels.length > 0 ? `label:${labels.map(label => `"${label}"`).join(',')}` : ''
+}
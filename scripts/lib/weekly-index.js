@@ -0,0 +1,181 @@
+/**
+ * 周报索引
+ * 每期周报 Markdown 开头的 YAML front matter 记录期数、统计周期、合计数字、标签和摘要：
+ *
+ *   ---
+ *   title: 第10期【2026年3月2日-2026年3月8日】
+ *   week: 10
+ *   period: { start: 2026-03-01T16:00:00.000Z, end: 2026-03-08T15:59:59.999Z, timeZone: Asia/Shanghai }
+ *   totals: { commits: 2032, prs: 6386, mergedPrs: 0, issues: 2680, releases: 5 }
+ *   tags: [v2026.3.7, Telegram, Gateway]
+ *   summary: 本周开发集中在……
+ *   ---
+ *
+ * 侧边栏、首页列表、归档页和上一期/下一期链接都由 buildWeeklyIndex 读取这些信息生成。
+ * 没有 front matter 的旧周报按文件名确定期数，统计周期由调用方提供
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import YAML from 'yaml'
+import { formatDateRange, formatMonth, getMessages } from './i18n.js'
+import { getZonedParts } from './periods.js'
+
+const ISSUE_FILE_PATTERN = /^(\d+)\.md$/
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/
+
+/**
+ * 周报文件名，期数不足两位时补 0（01.md … 99.md、100.md）
+ */
+export function getIssueFileName(weekNumber) {
+  return `${String(weekNumber).padStart(2, '0')}.md`
+}
+
+/**
+ * 拆分 front matter 和正文，没有 front matter 时 data 为 null
+ */
+export function parseFrontMatter(source) {
+  const match = source.match(FRONT_MATTER)
+  if (!match) return { data: null, body: source }
+  return { data: YAML.parse(match[1]) || {}, body: source.slice(match[0].length) }
+}
+
+/**
+ * 生成 front matter，值为 undefined 或 null 的字段省略
+ */
+export function stringifyFrontMatter(data) {
+  const fields = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined && value !== null))
+  return `---\n${YAML.stringify(fields, { lineWidth: 0 })}---\n`
+}
+
+/**
+ * 把 Markdown 转成用于摘要的纯文本：取第一段正文（跳过标题），去掉强调、链接和列表符号，超过 maxLength 时截断
+ */
+export function getPlainExcerpt(markdown, maxLength = 200) {
+  const paragraph = (markdown || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => block
+      .split(/\r?\n/)
+      .filter(line => !/^\s*#/.test(line))
+      .map(line => line.replace(/^\s*(?:>\s*)*(?:[-*+]|\d+\.)?\s*/, ''))
+      .join(' ')
+      .trim())
+    .find(Boolean) || ''
+
+  const text = paragraph
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*|__|`/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text
+}
+
+/**
+ * 读取目录中所有的周报，最新一期在前
+ *
+ * @param {string} docsDir 周报目录
+ * @param {object} options
+ * @param {string} options.linkPrefix 站内路径前缀，如 /docs 或 /en/docs
+ * @param {(weekNumber: number) => Promise<{ start: Date, end: Date, timeZone?: string }>} options.getPeriod
+ *   front matter 中没有统计周期时使用
+ * @returns {Promise<object[]>} { week, file, link, title, period, totals, tags, summary }，
+ *   没有 front matter 的旧周报 totals 为 null
+ */
+export async function readIssues(docsDir, { linkPrefix, getPeriod }) {
+  let files = []
+  try {
+    files = await fs.readdir(docsDir)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const issues = []
+  for (const file of files) {
+    const match = file.match(ISSUE_FILE_PATTERN)
+    if (!match) continue
+
+    const { data } = parseFrontMatter(await fs.readFile(path.join(docsDir, file), 'utf8'))
+    const week = Number(data?.week ?? match[1])
+    const period = data?.period
+      ? { start: new Date(data.period.start), end: new Date(data.period.end), timeZone: data.period.timeZone }
+      : await getPeriod(week)
+
+    issues.push({
+      week,
+      file,
+      link: `${linkPrefix}/${file.replace(/\.md$/, '')}`,
+      title: data?.title || null,
+      period,
+      totals: data?.totals || null,
+      tags: data?.tags || [],
+      summary: data?.summary || null
+    })
+  }
+
+  return issues.sort((a, b) => b.week - a.week)
+}
+
+/**
+ * 按结束日期所在月份分组，月份按时间倒序，每个月内保持 issues 的顺序（最新一期在前）
+ *
+ * @returns {{ month: string, items: { weekNumber: number, title: string, link: string }[] }[]}
+ */
+export function groupByMonth(issues, { lang, timeZone }) {
+  const t = getMessages(lang)
+  const groups = new Map()
+
+  for (const issue of issues) {
+    const zone = issue.period.timeZone || timeZone
+    const { year, month } = getZonedParts(issue.period.end, zone)
+    const monthKey = year * 12 + month
+    if (!groups.has(monthKey)) {
+      groups.set(monthKey, { month: formatMonth(issue.period.end, lang, zone), items: [] })
+    }
+
+    groups.get(monthKey).items.push({
+      weekNumber: issue.week,
+      title: t.issueLabel(issue.week, formatDateRange(issue.period.start, issue.period.end, lang, zone)),
+      link: issue.link
+    })
+  }
+
+  return [...groups.entries()].sort(([a], [b]) => b - a).map(([, group]) => group)
+}
+
+/**
+ * 各期的上一期（更早）和下一期（更新）链接，按站点源文件的相对路径索引（如 docs/10.md）
+ * 没有上一期或下一期时为 false，对应 VitePress front matter 中的 prev / next
+ */
+export function getPager(issues, groups) {
+  const titles = new Map(groups.flatMap(group => group.items.map(item => [item.link, item.title])))
+  const toLink = (issue) => issue ? { text: titles.get(issue.link), link: issue.link } : false
+
+  return Object.fromEntries(issues.map((issue, index) => [
+    `${issue.link.replace(/^\//, '')}.md`,
+    { prev: toLink(issues[index + 1]), next: toLink(issues[index - 1]) }
+  ]))
+}
+
+/**
+ * 生成一种语言的周报索引
+ *
+ * @param {string} docsDir 周报目录
+ * @param {object} options
+ * @param {string} options.lang 语言
+ * @param {string} options.linkPrefix 站内路径前缀
+ * @param {string} options.timeZone front matter 中没有时区时使用的时区
+ * @param {(weekNumber: number) => Promise<object>} options.getPeriod 旧周报的统计周期
+ * @returns {Promise<{ issues: object[], groups: object[], latest: string|null, pager: object }>}
+ */
+export async function buildWeeklyIndex(docsDir, { lang, linkPrefix, timeZone, getPeriod }) {
+  const issues = await readIssues(docsDir, { linkPrefix, getPeriod })
+  const groups = groupByMonth(issues, { lang, timeZone })
+
+  return {
+    issues,
+    groups,
+    latest: issues[0]?.link || null,
+    pager: getPager(issues, groups)
+  }
+}
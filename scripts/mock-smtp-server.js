@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * 本地的 SMTP 收件服务，用于测试邮件版周报，不会把邮件投递出去
+ * 接受任意发件人、收件人和认证信息（AUTH PLAIN / LOGIN），每封邮件原样保存为 .eml 文件，
+ * 可以直接用邮件客户端打开查看效果。不支持 STARTTLS，SMTP_SECURE 需要为 false
+ *
+ * 用法:
+ *   node scripts/mock-smtp-server.js [端口] [目录]      默认端口 2525，保存到 .cache/smtp-sink/
+ *   SMTP_HOST=localhost SMTP_PORT=2525 EMAIL_TO=me@example.com \
+ *   node scripts/auto-weekly-generator.js render-email 10 --send
+ */
+
+import fs from 'fs/promises'
+import net from 'net'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const port = Number(process.argv[2]) || 2525
+const outDir = path.resolve(process.argv[3] || path.join(__dirname, '..', '.cache', 'smtp-sink'))
+
+let messageCount = 0
+
+/**
+ * 保存一封邮件，返回文件路径
+ */
+async function saveMessage(envelope, data) {
+  messageCount += 1
+  const filePath = path.join(outDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageCount}.eml`)
+  await fs.mkdir(outDir, { recursive: true })
+  await fs.writeFile(filePath, data, 'utf8')
+
+  const subject = data.match(/^Subject: (.*(?:\r\n[ \t].*)*)/mi)?.[1].replace(/\r\n[ \t]/g, ' ') || '(无主题)'
+  console.log(`📨 ${envelope.from} → ${envelope.to.join(', ')}（${Buffer.byteLength(data)} 字节）\n   主题: ${subject}\n   已保存: ${filePath}`)
+  return filePath
+}
+
+const server = net.createServer(socket => {
+  const reply = (line) => socket.write(`${line}\r\n`)
+  let envelope = { from: null, to: [] }
+  let buffer = ''
+  let data = null // 正在接收 DATA 时为已收到的内容
+  let authStep = null // AUTH LOGIN 时还需要读取的行数
+
+  reply('220 localhost mock SMTP sink ready')
+
+  socket.on('data', async chunk => {
+    buffer += chunk.toString('utf8')
+    let index
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index)
+      buffer = buffer.slice(index + 2)
+
+      if (data !== null) {
+        if (line === '.') {
+          const content = data
+          data = null
+          const currentEnvelope = envelope
+          envelope = { from: null, to: [] }
+          await saveMessage(currentEnvelope, content)
+          reply(`250 OK: queued as mock-${messageCount}`)
+        } else {
+          // 去掉点号转义（以 . 开头的行发送时会再加一个 .）
+          data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`
+        }
+        continue
+      }
+
+      if (authStep !== null) {
+        authStep -= 1
+        reply(authStep > 0 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful')
+        if (authStep === 0) authStep = null
+        continue
+      }
+
+      const [command, ...rest] = line.split(' ')
+      const argument = rest.join(' ')
+      switch (command.toUpperCase()) {
+        case 'EHLO':
+          reply('250-localhost')
+          reply('250-AUTH PLAIN LOGIN')
+          reply('250-8BITMIME')
+          reply('250 SMTPUTF8')
+          break
+        case 'HELO':
+          reply('250 localhost')
+          break
+        case 'AUTH':
+          if (/^PLAIN \S+/i.test(argument)) {
+            reply('235 Authentication successful')
+          } else if (/^PLAIN$/i.test(argument)) {
+            authStep = 1
+            reply('334 ')
+          } else if (/^LOGIN/i.test(argument)) {
+            // 用户名可能直接跟在命令后面
+            authStep = argument.split(' ').length > 1 ? 1 : 2
+            reply(authStep === 2 ? '334 VXNlcm5hbWU6' : '334 UGFzc3dvcmQ6')
+          } else {
+            reply('504 Unrecognized authentication type')
+          }
+          break
+        case 'MAIL':
+          envelope = { from: argument.match(/<([^>]*)>/)?.[1] || argument, to: [] }
+          reply('250 OK')
+          break
+        case 'RCPT':
+          envelope.to.push(argument.match(/<([^>]*)>/)?.[1] || argument)
+          reply('250 OK')
+          break
+        case 'DATA':
+          if (envelope.to.length === 0) {
+            reply('503 RCPT first')
+          } else {
+            data = ''
+            reply('354 End data with <CR><LF>.<CR><LF>')
+          }
+          break
+        case 'RSET':
+          envelope = { from: null, to: [] }
+          reply('250 OK')
+          break
+        case 'NOOP':
+          reply('250 OK')
+          break
+        case 'QUIT':
+          reply('221 Bye')
+          socket.end()
+          break
+        default:
+          reply('502 Command not implemented')
+      }
+    }
+  })
+
+  socket.on('error', error => console.error(`⚠️ 连接错误: ${error.message}`))
+})
+
+server.listen(port, () => {
+  console.log(`🦞 模拟 SMTP 服务已启动: localhost:${port}，邮件保存到 ${outDir}，Ctrl+C 停止`)
+})
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * 本地模拟的聊天 Webhook，用于测试通知的消息格式，不会发到真实的群聊
+ * 按路径模拟各渠道的响应，并打印收到的消息：
+ *   POST /slack                     Slack Incoming Webhook，返回 ok
+ *   POST /discord                   Discord Webhook，返回 204
+ *   POST /feishu                    飞书自定义机器人，返回 { code: 0 }
+ *   POST /bot<token>/sendMessage    Telegram Bot API（TELEGRAM_API_BASE 指向本服务）
+ * 路径带 ?fail 时返回该渠道的错误响应，用于测试失败时的处理
+ *
+ * 用法:
+ *   node scripts/mock-webhook-server.js [端口]      默认端口 8787
+ *   SLACK_WEBHOOK_URL=http://localhost:8787/slack \
+ *   TELEGRAM_BOT_TOKEN=test TELEGRAM_CHAT_ID=1 TELEGRAM_API_BASE=http://localhost:8787 \
+ *   node scripts/auto-weekly-generator.js notify 10
+ */
+
+import http from 'http'
+
+const port = Number(process.argv[2]) || 8787
+
+// 各渠道成功和失败时的响应：[状态码, 响应体]
+const RESPONSES = {
+  slack: { ok: [200, 'ok'], fail: [404, 'no_service'] },
+  discord: { ok: [204, ''], fail: [400, JSON.stringify({ message: 'Invalid Form Body', code: 50035 })] },
+  feishu: { ok: [200, JSON.stringify({ code: 0, msg: 'success', data: {} })], fail: [200, JSON.stringify({ code: 19021, msg: 'sign match fail or timestamp is not within one hour from current time' })] },
+  telegram: { ok: [200, JSON.stringify({ ok: true, result: { message_id: 1 } })], fail: [400, JSON.stringify({ ok: false, error_code: 400, description: 'Bad Request: chat not found' })] }
+}
+
+/**
+ * 按路径判断渠道，未知路径返回 null
+ */
+function getChannel(pathname) {
+  if (/^\/bot[^/]+\/sendMessage$/.test(pathname)) return 'telegram'
+  const name = pathname.replace(/^\/|\/$/g, '')
+  return RESPONSES[name] ? name : null
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`)
+  const channel = getChannel(url.pathname)
+
+  let body = ''
+  for await (const chunk of req) body += chunk
+
+  if (req.method !== 'POST' || !channel) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('not found')
+    console.log(`⚠️ ${req.method} ${url.pathname} → 404`)
+    return
+  }
+
+  const [status, response] = RESPONSES[channel][url.searchParams.has('fail') ? 'fail' : 'ok']
+  let payload = body
+  try {
+    payload = JSON.stringify(JSON.parse(body), null, 2)
+  } catch {
+    // 原样打印非 JSON 的请求体
+  }
+  console.log(`📨 ${channel} ← ${req.method} ${url.pathname}（${Buffer.byteLength(body)} 字节）→ ${status}\n${payload}\n`)
+
+  res.writeHead(status, { 'Content-Type': response.startsWith('{') ? 'application/json' : 'text/plain' }).end(response)
+})
+
+server.listen(port, () => {
+  console.log(`🦞 模拟 Webhook 已启动: http://localhost:${port}（/slack、/discord、/feishu、/bot<token>/sendMessage），Ctrl+C 停止`)
+})